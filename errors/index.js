@@ -0,0 +1,127 @@
+/**
+ * Error classes
+ * Routes and middleware throw (or pass to next()) one of these instead of
+ * building error responses by hand. The central error handler turns them
+ * into application/problem+json responses (RFC 7807).
+ *
+ * Every error has:
+ *   - status: HTTP status code
+ *   - code: stable, machine-readable identifier clients can switch on
+ *   - message: human-readable detail
+ *   - extensions: extra members added to the problem document
+ *
+ * The default code can be replaced with a more specific one:
+ *   throw new Conflict('Username already exists', { code: 'username_taken' });
+ *
+ * Any other extension fields are included in the response:
+ *   throw new Conflict('Insufficient stock', { code: 'insufficient_stock', shortages });
+ */
+
+class HttpError extends Error {
+  constructor(status, code, message, extensions = {}) {
+    super(message);
+    const { code: customCode, ...rest } = extensions;
+
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = customCode || code;
+    this.extensions = rest;
+  }
+}
+
+class BadRequest extends HttpError {
+  constructor(message = 'Bad request', extensions) {
+    super(400, 'bad_request', message, extensions);
+  }
+}
+
+/**
+ * errors: [{ path, code, message }] as produced by validateRequest
+ */
+class ValidationFailed extends HttpError {
+  constructor(errors, message = 'Validation failed') {
+    super(400, 'validation_failed', message, { errors });
+  }
+}
+
+class Unauthorized extends HttpError {
+  constructor(message = 'Authentication required', extensions) {
+    super(401, 'unauthorized', message, extensions);
+  }
+}
+
+class Forbidden extends HttpError {
+  constructor(message = 'You do not have permission to perform this action', extensions) {
+    super(403, 'forbidden', message, extensions);
+  }
+}
+
+class NotFound extends HttpError {
+  constructor(message = 'Resource not found', extensions) {
+    super(404, 'not_found', message, extensions);
+  }
+}
+
+class Conflict extends HttpError {
+  constructor(message = 'Conflict', extensions) {
+    super(409, 'conflict', message, extensions);
+  }
+}
+
+/**
+ * A state change that is not allowed from the current state
+ */
+class InvalidTransition extends HttpError {
+  constructor(currentStatus, requestedStatus, allowedTransitions) {
+    super(409, 'invalid_transition', `Cannot change status from '${currentStatus}' to '${requestedStatus}'`, {
+      currentStatus,
+      requestedStatus,
+      allowedTransitions
+    });
+  }
+}
+
+/**
+ * An If-Match precondition that does not match the current record
+ */
+class PreconditionFailed extends HttpError {
+  constructor(message = 'Precondition failed', extensions) {
+    super(412, 'precondition_failed', message, extensions);
+  }
+}
+
+class UnsupportedMediaType extends HttpError {
+  constructor(message = 'Unsupported media type', extensions) {
+    super(415, 'unsupported_media_type', message, extensions);
+  }
+}
+
+class UnprocessableEntity extends HttpError {
+  constructor(message = 'Unprocessable entity', extensions) {
+    super(422, 'unprocessable_entity', message, extensions);
+  }
+}
+
+/**
+ * A client over its rate limit (see middleware/rateLimit.js)
+ */
+class TooManyRequests extends HttpError {
+  constructor(message = 'Too many requests', extensions) {
+    super(429, 'rate_limited', message, extensions);
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequest,
+  ValidationFailed,
+  Unauthorized,
+  Forbidden,
+  NotFound,
+  Conflict,
+  InvalidTransition,
+  PreconditionFailed,
+  UnsupportedMediaType,
+  UnprocessableEntity,
+  TooManyRequests
+};
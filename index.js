@@ -3,46 +3,89 @@ const cors = require('cors');
 
 // Import routes
 const healthRouter = require('./routes/health');
+const authRouter = require('./routes/auth');
 const itemsRouter = require('./routes/items');
 const usersRouter = require('./routes/users');
 const productsRouter = require('./routes/products');
 const ordersRouter = require('./routes/orders');
+const batchRouter = require('./routes/batch');
+const eventsRouter = require('./routes/events');
+const webhooksRouter = require('./routes/webhooks');
+const auditRouter = require('./routes/audit');
+const cartsRouter = require('./routes/carts');
+const createDocsRouter = require('./routes/docs');
 
 // Import middleware
 const logger = require('./middleware/logger');
+const { authenticate } = require('./middleware/auth');
+const { rateLimit } = require('./middleware/rateLimit');
+const { requestContext } = require('./middleware/requestContext');
+const { writeLock } = require('./middleware/writeLock');
 const errorHandler = require('./middleware/errorHandler');
+const { NotFound } = require('./errors');
+const { listEndpoints } = require('./services/openapi');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Global middleware (applied to all routes)
-app.use(cors()); // Allow cross-origin requests
+app.use(cors({
+    exposedHeaders: [
+        'ETag', 'X-Request-Id', 'Idempotent-Replayed',
+        'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+    ]
+})); // Allow cross-origin requests
+app.use(logger); // Request ID + one log line per request (first, so every request is logged)
+app.use(rateLimit({
+    name: 'global',
+    limit: process.env.RATE_LIMIT === undefined ? 300 : parseInt(process.env.RATE_LIMIT),
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000
+})); // Per-IP cap on all requests (RATE_LIMIT=0 turns it off); routes add stricter ones
 app.use(express.json()); // Parse JSON request bodies
-app.use(logger); // Log all requests
+app.use(requestContext); // Make req reachable from store listeners (after body parsing)
+app.use(authenticate); // Attach req.user from a bearer token (if any)
+app.use(writeLock); // Writes wait while a transactional batch runs
 
-// Routes
-app.use('/health', healthRouter);
-app.use('/items', itemsRouter);
-app.use('/users', usersRouter);
-app.use('/products', productsRouter);
-app.use('/orders', ordersRouter);
+// Routes (this map also drives the OpenAPI document and startup banner)
+const routers = {
+    '/health': healthRouter,
+    '/auth': authRouter,
+    '/items': itemsRouter,
+    '/users': usersRouter,
+    '/products': productsRouter,
+    '/orders': ordersRouter,
+    '/carts': cartsRouter,
+    '/batch': batchRouter,
+    '/events': eventsRouter,
+    '/webhooks': webhooksRouter,
+    '/audit': auditRouter
+};
+
+for (const [path, router] of Object.entries(routers)) {
+    app.use(path, router);
+}
+
+// API docs: GET /openapi.json and GET /docs
+app.use(createDocsRouter(routers));
 
 // 404 handler (must be after all routes)
-app.use((req, res) => {
-    res.status(404).json({ error: 'Route not found' });
+app.use((req, res, next) => {
+    next(new NotFound('Route not found', { code: 'route_not_found' }));
 });
 
 // Error handler (must be last)
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log('\nAvailable endpoints:');
-    console.log('  GET    /health');
-    console.log('  GET    /items');
-    console.log('  GET    /users');
-    console.log('  GET    /products');
-    console.log('  GET    /orders');
-    console.log('\nSee README.md for complete API documentation');
-});
+// Start server (only when run directly, so tests can require the app)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on http://localhost:${PORT}`);
+        console.log('\nAvailable endpoints:');
+        for (const { method, path } of listEndpoints(routers)) {
+            console.log(`  ${method.padEnd(6)} ${path}`);
+        }
+        console.log(`\nAPI docs: http://localhost:${PORT}/docs (spec at /openapi.json)`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,47 @@
+const { authenticateToken } = require('../services/auth');
+const { Unauthorized } = require('../errors');
+
+/**
+ * Authentication middleware
+ *
+ * authenticate: reads "Authorization: Bearer <token>" and attaches the
+ * caller as req.user (and req.sessionId). Requests without the header pass
+ * through anonymously; a bad or expired token is rejected with 401.
+ *
+ * requireAuth: rejects anonymous requests with 401. Use per route:
+ *   router.get('/me', requireAuth, handler);
+ */
+
+function authenticate(req, res, next) {
+  const header = req.get('Authorization');
+
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new Unauthorized('Authorization header must be "Bearer <token>"', { code: 'malformed_authorization' }));
+  }
+
+  const result = authenticateToken(token);
+  if (!result) {
+    return next(new Unauthorized('Invalid or expired token', { code: 'invalid_token' }));
+  }
+
+  req.user = result.user;
+  req.sessionId = result.sessionId;
+  next();
+}
+
+function requireAuth(req, res, next) {
+  if (!req.user) {
+    return next(new Unauthorized());
+  }
+  next();
+}
+
+// Read by the OpenAPI generator: any logged-in user may call the route
+requireAuth.access = { roles: [], owner: false };
+
+module.exports = { authenticate, requireAuth };
@@ -0,0 +1,79 @@
+const { requireAuth } = require('./auth');
+const { Forbidden } = require('../errors');
+
+/**
+ * Authorization middleware
+ * Declarative, per-route permission rules based on req.user (set by the
+ * authenticate middleware). Anonymous callers get 401, callers without
+ * permission get 403.
+ *
+ * authorize(rule) - who may call the route at all
+ *   - roles: roles that are always allowed, e.g. ['admin']
+ *   - owner: (req) => userId of the record being accessed. The caller is
+ *     allowed if it is their own record. If the record does not exist
+ *     (undefined/null) the request continues so the route can return 404.
+ *
+ * restrictFields(fields) - who may set specific body fields
+ *   - { role: ['admin'] } rejects a body containing "role" unless the caller
+ *     is an admin. Anonymous callers hold no role.
+ *
+ * Usage:
+ *   router.get('/:id', authorize({ roles: ['admin'], owner: req => parseInt(req.params.id) }), handler);
+ *   router.delete('/:id', authorize({ roles: ['admin'] }), handler);
+ *   router.patch('/:id', restrictFields({ role: ['admin'] }), handler);
+ *
+ * The rules are exposed as middleware.access / middleware.restrictedFields
+ * for the OpenAPI generator.
+ */
+
+function authorize({ roles = [], owner } = {}) {
+  const middleware = (req, res, next) => {
+    requireAuth(req, res, err => {
+      if (err) {
+        return next(err);
+      }
+
+      if (roles.includes(req.user.role)) {
+        return next();
+      }
+
+      if (owner) {
+        const ownerId = owner(req);
+        if (ownerId === undefined || ownerId === null || ownerId === req.user.id) {
+          return next();
+        }
+      }
+
+      next(new Forbidden());
+    });
+  };
+
+  middleware.access = { roles, owner: Boolean(owner) };
+  return middleware;
+}
+
+function restrictFields(fields) {
+  const middleware = (req, res, next) => {
+    const role = req.user && req.user.role;
+
+    for (const [field, roles] of Object.entries(fields)) {
+      if (req.body[field] !== undefined && !roles.includes(role)) {
+        return next(new Forbidden(`Only ${roles.join(', ')} may set '${field}'`, { code: 'field_forbidden', field }));
+      }
+    }
+
+    next();
+  };
+
+  middleware.restrictedFields = fields;
+  return middleware;
+}
+
+/**
+ * True if the caller is an admin (for scoping results inside handlers)
+ */
+function isAdmin(req) {
+  return Boolean(req.user) && req.user.role === 'admin';
+}
+
+module.exports = { authorize, restrictFields, isAdmin };
@@ -0,0 +1,65 @@
+const { PreconditionFailed } = require('../errors');
+
+/**
+ * Conditional requests
+ * Optimistic concurrency for single-record routes, based on the version
+ * every repository record carries (see store/repository.js).
+ *
+ *   - setETag(res, record) sends ETag: "<version>" with the response
+ *   - checkIfMatch(req, record) throws PreconditionFailed (412) when the
+ *     request carries an If-Match header that does not match the record
+ *
+ * If-Match is optional, so writes without it overwrite as before. "*"
+ * matches any existing record. Check it right before the update, with no
+ * await in between, so nothing can change the record in the meantime.
+ *
+ * If-None-Match needs no code here: when a GET response carries an ETag the
+ * client already has, Express answers 304 Not Modified without a body
+ * (res.send checks req.fresh). Collection responses get Express's own
+ * body-hash ETag, so polling a list works the same way.
+ *
+ * Usage:
+ *   router.put('/:id', validateRequest({ params: idParams, headers: ifMatchHeader, body }), (req, res) => {
+ *     checkIfMatch(req, products.findById(id));
+ *     const product = products.update(id, changes);
+ *     setETag(res, product).json(product);
+ *   });
+ */
+
+/**
+ * Header schema for validateRequest, so If-Match shows up in /openapi.json
+ */
+const ifMatchHeader = {
+  'if-match': { type: 'string' }
+};
+
+/**
+ * Strong entity tag for a record's current version
+ */
+function etagOf(record) {
+  return `"${record.version}"`;
+}
+
+function setETag(res, record) {
+  return res.set('ETag', etagOf(record));
+}
+
+function checkIfMatch(req, record) {
+  const header = req.get('If-Match');
+  if (header === undefined) {
+    return;
+  }
+
+  // If-Match uses strong comparison, so weak tags (W/"...") never match
+  const current = etagOf(record);
+  const tags = header.split(',').map(tag => tag.trim());
+
+  if (!tags.includes('*') && !tags.includes(current)) {
+    throw new PreconditionFailed('Record has been modified since it was fetched', {
+      code: 'etag_mismatch',
+      etag: current
+    });
+  }
+}
+
+module.exports = { ifMatchHeader, etagOf, setETag, checkIfMatch };
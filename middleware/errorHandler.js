@@ -1,17 +1,66 @@
+const http = require('http');
+const log = require('../services/log');
+const { HttpError, BadRequest } = require('../errors');
+
 // Error handling middleware
 // Express will call this if you pass an error to next()
+//
+// Every error becomes an RFC 7807 problem document:
+//   Content-Type: application/problem+json
+//   { type, title, status, detail, instance, code, requestId, ...extensions }
+//
+// Unexpected errors (anything that is not an HttpError) are logged and
+// answered with a generic 500; their message is only shown outside
+// production, and the stack only in development.
+
+// Errors raised by express.json() before a route runs
+function fromBodyParser(err) {
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequest('Request body is not valid JSON', { code: 'malformed_json' });
+    }
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'payload_too_large', 'Request body is too large');
+    }
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new HttpError(err.status, 'bad_request', err.message);
+    }
+    return null;
+}
+
 function errorHandler(err, req, res, next) {
-    console.error('Error:', err);
-    
-    // Default error
-    const status = err.status || 500;
-    const message = err.message || 'Internal Server Error';
-    
-    res.status(status).json({
-        error: message,
-        ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
-    });
+    const error = err instanceof HttpError ? err : fromBodyParser(err);
+    const status = error ? error.status : 500;
+
+    if (!error) {
+        log.error(err.message || 'Unhandled error', {
+            requestId: req.id,
+            stack: err.stack
+        });
+    }
+
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const problem = {
+        type: 'about:blank',
+        title: http.STATUS_CODES[status],
+        status,
+        detail: error
+            ? error.message
+            : process.env.NODE_ENV === 'production' ? 'An unexpected error occurred' : err.message,
+        instance: req.originalUrl,
+        code: error ? error.code : 'internal_error',
+        requestId: req.id,
+        ...(error && error.extensions),
+        ...(process.env.NODE_ENV === 'development' && !error && { stack: err.stack })
+    };
+
+    if (status === 401) {
+        res.set('WWW-Authenticate', 'Bearer');
+    }
+
+    res.status(status).type('application/problem+json').send(JSON.stringify(problem));
 }
 
 module.exports = errorHandler;
-
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const store = require('../store');
+const { BadRequest, Conflict, UnprocessableEntity } = require('../errors');
+
+/**
+ * Idempotency middleware
+ * Makes a POST safe to retry: a client sends a unique Idempotency-Key header
+ * and every retry with the same key gets the first response replayed instead
+ * of running the handler again (e.g. creating a second order).
+ *
+ *   - First request: runs normally, the response (status, body and a few
+ *     headers) is stored for IDEMPOTENCY_TTL seconds (default 86400)
+ *   - Retry with the same key and body: stored response is replayed with
+ *     Idempotent-Replayed: true
+ *   - Same key, different body: 422 idempotency_key_reused
+ *   - Same key while the first request is still running: 409
+ *     idempotency_request_in_progress with Retry-After
+ *
+ * Keys are scoped to the caller (user ID, or anonymous), method and path.
+ * Requests without the header are not affected. 5xx responses and aborted
+ * requests are not stored, so the client can retry them with the same key.
+ *
+ * Put it after authorize() and validateRequest(), so rejected requests never
+ * claim a key:
+ *   router.post('/', authorize(...), validateRequest(...), idempotent(), handler);
+ *
+ * The middleware is flagged with middleware.idempotent for the OpenAPI
+ * generator.
+ */
+
+const DEFAULT_TTL = parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60;
+const MAX_KEY_LENGTH = 255;
+
+// Response headers worth replaying (Content-Length is recomputed)
+const REPLAYED_HEADERS = ['Content-Type', 'Location', 'ETag'];
+
+const keys = store.repository('idempotencyKeys');
+
+function fingerprint(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body === undefined ? null : body)).digest('hex');
+}
+
+function purgeExpired() {
+  const now = new Date().toISOString();
+  for (const record of keys.find(r => r.expiresAt <= now)) {
+    keys.remove(record.id);
+  }
+}
+
+function replay(res, response) {
+  res.set(response.headers);
+  res.set('Idempotent-Replayed', 'true');
+  res.status(response.status);
+
+  if (response.body === undefined) {
+    return res.end();
+  }
+  res.send(response.body);
+}
+
+function idempotent({ ttl = DEFAULT_TTL } = {}) {
+  const middleware = (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+      return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+      return next(new BadRequest(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, {
+        code: 'invalid_idempotency_key'
+      }));
+    }
+
+    purgeExpired();
+
+    const scope = `${req.user ? req.user.id : 'anonymous'} ${req.method} ${req.baseUrl}${req.path}`;
+    const hash = fingerprint(req.body);
+    const existing = keys.findOne(r => r.key === key && r.scope === scope);
+
+    if (existing) {
+      if (existing.fingerprint !== hash) {
+        return next(new UnprocessableEntity('Idempotency-Key was already used with a different request body', {
+          code: 'idempotency_key_reused'
+        }));
+      }
+
+      if (existing.state === 'in_flight') {
+        res.set('Retry-After', '1');
+        return next(new Conflict('A request with this Idempotency-Key is still being processed', {
+          code: 'idempotency_request_in_progress'
+        }));
+      }
+
+      return replay(res, existing.response);
+    }
+
+    // Claim the key before the handler runs, so a concurrent duplicate
+    // sees it as in flight
+    const now = Date.now();
+    const record = keys.insert({
+      key,
+      scope,
+      fingerprint: hash,
+      state: 'in_flight',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString()
+    });
+
+    // res.json and res.send(object) both end up calling res.send(string)
+    let body;
+    const originalSend = res.send;
+    res.send = function(chunk) {
+      if (typeof chunk === 'string' || Buffer.isBuffer(chunk)) {
+        body = chunk.toString();
+      }
+      return originalSend.call(this, chunk);
+    };
+
+    let settled = false;
+
+    const settle = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      if (!res.writableFinished || res.statusCode >= 500) {
+        keys.remove(record.id);
+        return;
+      }
+
+      const headers = {};
+      for (const name of REPLAYED_HEADERS) {
+        if (res.get(name) !== undefined) {
+          headers[name] = res.get(name);
+        }
+      }
+
+      keys.update(record.id, {
+        state: 'completed',
+        response: { status: res.statusCode, headers, body }
+      });
+    };
+
+    res.on('finish', settle);
+    res.on('close', settle);
+
+    next();
+  };
+
+  middleware.idempotent = true;
+  return middleware;
+}
+
+module.exports = { idempotent };
@@ -1,36 +1,89 @@
+const crypto = require('crypto');
+const log = require('../services/log');
+
 /**
  * Request logging middleware
- * Logs HTTP requests with timing information
+ * Assigns every request an ID and writes exactly one structured log line
+ * when the response has been sent (or the client went away).
+ *
+ * Request IDs: an incoming X-Request-Id header is reused (so a request can
+ * be traced across services), otherwise a UUID is generated. Either way it
+ * is available as req.id and echoed back in the X-Request-Id header.
+ *
+ * Level: error for 5xx, warn for 4xx, info otherwise.
+ * With LOG_LEVEL=debug the (redacted) query string and body are included.
  */
 
+// Accept caller-supplied IDs only if they are short and printable
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
 function logger(req, res, next) {
-  const startTime = Date.now();
+  const start = process.hrtime.bigint();
+  const incomingId = req.get('X-Request-Id');
 
-  // Log request
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
 
-  // Capture original res.json to log response
-  const originalJson = res.json.bind(res);
+  // Count bytes at the lowest level, so every way of ending a response
+  // (json, send, pipe, end) is measured once
+  let responseBytes = 0;
+  const originalWrite = res.write;
+  const originalEnd = res.end;
 
-  res.json = function(body) {
-    const duration = Date.now() - startTime;
-    console.log(
-      `[${new Date().toISOString()}] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`
-    );
-    return originalJson(body);
+  const count = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      responseBytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
   };
 
-  // Capture original res.send to log response
-  const originalSend = res.send.bind(res);
+  res.write = function(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return originalWrite.call(this, chunk, encoding, ...rest);
+  };
 
-  res.send = function(body) {
-    const duration = Date.now() - startTime;
-    console.log(
-      `[${new Date().toISOString()}] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`
-    );
-    return originalSend(body);
+  res.end = function(chunk, encoding, ...rest) {
+    count(chunk, encoding);
+    return originalEnd.call(this, chunk, encoding, ...rest);
   };
 
+  let logged = false;
+
+  const done = () => {
+    if (logged) {
+      return;
+    }
+    logged = true;
+
+    const status = res.statusCode;
+    // Query params such as ?token= must not end up in the logs
+    const path = log.redactUrl(req.originalUrl);
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path,
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      responseBytes,
+      userId: req.user ? req.user.id : null,
+      ip: req.ip
+    };
+
+    if (!res.writableFinished) {
+      fields.aborted = true;
+    }
+
+    if (log.enabled('debug')) {
+      fields.query = req.query;
+      fields.body = req.body;
+    }
+
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    log[level](`${req.method} ${path}`, fields);
+  };
+
+  res.on('finish', done);
+  res.on('close', done);
+
   next();
 }
 
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { TooManyRequests } = require('../errors');
+
+/**
+ * Rate limiting middleware
+ * Caps how many requests one client may make in a time window. Over the
+ * limit, requests get 429 rate_limited with Retry-After (seconds).
+ *
+ * Options:
+ *   - name: namespace in the store, so limiters do not share counters
+ *   - limit: requests per window (0 turns the limiter off)
+ *   - windowMs: window length (default 60000)
+ *   - algorithm:
+ *       'token-bucket' (default): a bucket of `limit` tokens refilled
+ *         evenly over the window; allows short bursts up to `limit`
+ *       'sliding-window': at most `limit` requests in any windowMs span
+ *   - keyBy: who the limit applies to
+ *       'ip' (default): the client address (req.ip)
+ *       'user': the logged-in user, or the address for anonymous callers
+ *       'apiKey': the X-API-Key header if it is one of API_KEYS (comma-
+ *         separated, from the environment), otherwise as 'user'; anyone can
+ *         send a made-up key, so only issued keys get their own counter
+ *       (req) => string: anything else
+ *   - store: where counters live (default: in memory, per process)
+ *   - skip: (req) => true to let a request through uncounted
+ *
+ * Every counted response carries the IETF RateLimit headers of the
+ * strictest limiter on the route:
+ *   RateLimit-Limit: 10
+ *   RateLimit-Remaining: 7
+ *   RateLimit-Reset: 42       (seconds until the full limit is available again)
+ *   RateLimit-Policy: 10;w=60
+ *
+ * Stores implement one method, so counters can move to a shared backend
+ * (e.g. Redis) when the API runs on several processes:
+ *   update(key, fn, ttlMs) -> newState (or a promise of it)
+ *     calls fn(currentState | undefined), saves what it returns for ttlMs,
+ *     atomically per key
+ *
+ * Usage:
+ *   router.post('/', rateLimit({ name: 'orders:create', limit: 30, keyBy: 'user' }), handler);
+ *
+ * The options are exposed as middleware.rateLimit for the OpenAPI generator.
+ */
+
+/**
+ * In-memory store (the default); expired entries are swept every minute
+ */
+function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const entries = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, sweepMs);
+  sweep.unref();
+
+  return {
+    update(key, fn, ttlMs) {
+      const entry = entries.get(key);
+      const current = entry && entry.expiresAt > Date.now() ? entry.state : undefined;
+      const state = fn(current);
+      entries.set(key, { state, expiresAt: Date.now() + ttlMs });
+      return state;
+    },
+
+    // Forget every counter (e.g. between tests)
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Algorithms: (state, now, { limit, windowMs }) -> decision
+ * decision: { state, allowed, remaining, resetMs, retryAfterMs }
+ */
+const ALGORITHMS = {
+  'token-bucket': (state, now, { limit, windowMs }) => {
+    const perMs = limit / windowMs;
+    const tokens = state
+      ? Math.min(limit, state.tokens + (now - state.updatedAt) * perMs)
+      : limit;
+    const allowed = tokens >= 1;
+    const left = allowed ? tokens - 1 : tokens;
+
+    return {
+      state: { tokens: left, updatedAt: now },
+      allowed,
+      remaining: Math.floor(left),
+      resetMs: (limit - left) / perMs,
+      retryAfterMs: allowed ? 0 : (1 - left) / perMs
+    };
+  },
+
+  // Keeps the timestamps of the requests in the current window
+  'sliding-window': (state, now, { limit, windowMs }) => {
+    const hits = (state || []).filter(time => time > now - windowMs);
+    const allowed = hits.length < limit;
+    if (allowed) {
+      hits.push(now);
+    }
+
+    return {
+      state: hits,
+      allowed,
+      remaining: limit - hits.length,
+      resetMs: hits.length > 0 ? hits[hits.length - 1] + windowMs - now : 0,
+      retryAfterMs: allowed ? 0 : hits[0] + windowMs - now
+    };
+  }
+};
+
+// Hashed, so API keys never sit in memory or the store in plain text
+const hashKey = apiKey => crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+
+const API_KEY_HASHES = new Set((process.env.API_KEYS || '')
+  .split(',')
+  .map(apiKey => apiKey.trim())
+  .filter(Boolean)
+  .map(hashKey));
+
+const clientAddress = req => `ip:${req.ip}`;
+const userOrAddress = req => req.user ? `user:${req.user.id}` : clientAddress(req);
+
+const KEYS = {
+  ip: clientAddress,
+  user: userOrAddress,
+  apiKey: req => {
+    const apiKey = req.get('X-API-Key');
+    const hash = apiKey && hashKey(apiKey);
+    return hash && API_KEY_HASHES.has(hash) ? `key:${hash}` : userOrAddress(req);
+  }
+};
+
+const defaultStore = createMemoryStore();
+let unnamed = 0;
+
+function setHeaders(req, res, decision, { limit, windowMs }) {
+  // With several limiters on a route, report the one closest to its limit
+  if (req.rateLimit && req.rateLimit.remaining <= decision.remaining) {
+    return;
+  }
+  req.rateLimit = { limit, remaining: decision.remaining };
+
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(decision.remaining),
+    'RateLimit-Reset': String(Math.ceil(decision.resetMs / 1000)),
+    'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+  });
+}
+
+function rateLimit({
+  name = `limiter-${++unnamed}`,
+  limit,
+  windowMs = 60 * 1000,
+  algorithm = 'token-bucket',
+  keyBy = 'ip',
+  store = defaultStore,
+  skip
+} = {}) {
+  const consume = ALGORITHMS[algorithm];
+  const keyOf = typeof keyBy === 'function' ? keyBy : KEYS[keyBy];
+
+  if (!consume) {
+    throw new Error(`Unknown rate limit algorithm '${algorithm}' (expected: ${Object.keys(ALGORITHMS).join(', ')})`);
+  }
+  if (!keyOf) {
+    throw new Error(`Unknown rate limit keyBy '${keyBy}' (expected: ${Object.keys(KEYS).join(', ')} or a function)`);
+  }
+  if (!Number.isInteger(limit) || limit < 0 || !(windowMs > 0)) {
+    throw new Error('Rate limit needs an integer limit >= 0 and a positive windowMs');
+  }
+
+  const policy = { limit, windowMs };
+
+  const middleware = (req, res, next) => {
+    if (limit === 0 || (skip && skip(req))) {
+      return next();
+    }
+
+    const now = Date.now();
+    let decision;
+
+    Promise.resolve(store.update(`${name}:${keyOf(req)}`, state => {
+      decision = consume(state, now, policy);
+      return decision.state;
+    }, windowMs))
+      .then(() => {
+        setHeaders(req, res, decision, policy);
+
+        if (!decision.allowed) {
+          const retryAfter = Math.max(Math.ceil(decision.retryAfterMs / 1000), 1);
+          res.set('Retry-After', String(retryAfter));
+          return next(new TooManyRequests(`Rate limit of ${limit} requests per ${windowMs / 1000}s exceeded`, {
+            retryAfter
+          }));
+        }
+        next();
+      }, next);
+  };
+
+  middleware.rateLimit = { name, limit, windowMs, algorithm, keyBy: typeof keyBy === 'function' ? 'custom' : keyBy };
+  return middleware;
+}
+
+/**
+ * Forget every counter in the default store (tests start each case fresh)
+ */
+function resetRateLimits() {
+  defaultStore.clear();
+}
+
+module.exports = { rateLimit, resetRateLimits, createMemoryStore, ALGORITHMS };
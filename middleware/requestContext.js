@@ -0,0 +1,26 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Makes the current request reachable from code that is not handed req,
+ * such as store listeners (see services/audit.js):
+ *
+ *   const req = currentRequest(); // null outside a request
+ *
+ * The context follows the request through await, timers and promises, but
+ * not through stream callbacks, so it must come after any body parser that
+ * reads the request stream:
+ *   router.post('/import', express.text(...), requestContext, handler);
+ */
+
+const requests = new AsyncLocalStorage();
+
+function requestContext(req, res, next) {
+  requests.run(req, next);
+}
+
+function currentRequest() {
+  return requests.getStore() || null;
+}
+
+module.exports = { requestContext, currentRequest };
@@ -1,164 +1,299 @@
 /**
  * Validation middleware
- * Validates request body against a schema
+ * Validates the request body, query string, route params and headers
+ * against a declarative schema.
+ *
+ * A schema is either a map of body fields (the common case):
+ *
+ *   validateRequest({
+ *     username: { type: 'string', minLength: 3, required: true }
+ *   })
+ *
+ * or a map of request sections:
+ *
+ *   validateRequest({
+ *     params: idParams,
+ *     query: { page: { type: 'integer', min: 1, default: 1 } },
+ *     body: { name: { type: 'string' } },
+ *     headers: { 'x-client-version': { type: 'string' } }
+ *   })
+ *
+ * Field rules:
+ *   - type: string, number, integer, boolean, array, object, email,
+ *     date (ISO 8601 date or date-time string)
+ *   - required, default, nullable, enum
+ *   - strings: minLength, maxLength, pattern
+ *   - numbers: min, max
+ *   - arrays: minLength, maxLength, items (rule applied to every element)
+ *   - objects: properties (field rules, recursive), unknown
+ *   - validate: (value, req) => true | 'error message' (custom check)
+ *
+ * Unknown fields are rejected in body, query, params and nested objects.
+ * Set unknown: 'allow' (keep them) or 'strip' (drop them) on an object rule
+ * to change that; headers always allow unknown fields.
+ *
+ * Query, params and headers arrive as strings, so their values are coerced
+ * to the declared type first ('10' -> 10, 'true' -> true, 'a,b' -> ['a', 'b']).
+ * Validated values (with defaults and coercion applied) replace req.body,
+ * req.query and req.params.
+ *
+ * Failures are passed on as a ValidationFailed error (400) listing every
+ * problem: { path: 'body.items[0].quantity', code: 'min', message: '...' }
+ *
+ * The normalized schema is exposed as middleware.schema, which the OpenAPI
+ * generator (services/openapi.js) reads to document the route.
+ *
+ * validateValue(value, schema) runs the same checks on a value that did not
+ * come from the request (e.g. a row of an import file).
  */
 
+const { ValidationFailed } = require('../errors');
+
+const SECTIONS = ['body', 'query', 'params', 'headers'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+/**
+ * Route param schema for the numeric :id used by every resource
+ */
+const idParams = {
+  id: { type: 'integer', min: 1, required: true }
+};
+
 function validateRequest(schema) {
-  return (req, res, next) => {
+  const sections = normalizeSchema(schema);
+
+  const middleware = (req, res, next) => {
     const errors = [];
-    const body = req.body;
 
-    // Validate each field in schema
-    for (const [field, rules] of Object.entries(schema)) {
-      const value = body[field];
+    for (const [section, rule] of Object.entries(sections)) {
+      const ctx = { req, errors, coerce: section !== 'body' };
+      const value = checkValue(req[section] === undefined ? {} : req[section], rule, section, ctx);
 
-      // Check required fields
-      if (rules.required && (value === undefined || value === null || value === '')) {
-        errors.push(`Field '${field}' is required`);
-        continue;
+      // Headers stay untouched: they must remain strings for Express
+      if (section !== 'headers') {
+        req[section] = value;
       }
+    }
 
-      // Skip validation if field is not provided and not required
-      if (value === undefined && !rules.required) {
-        // Set default value if provided
-        if (rules.default !== undefined) {
-          body[field] = rules.default;
-        }
-        continue;
-      }
+    if (errors.length > 0) {
+      return next(new ValidationFailed(errors));
+    }
 
-      // Type validation
-      if (rules.type) {
-        const isValid = validateType(value, rules.type, field, errors);
-        if (!isValid) continue;
-      }
+    next();
+  };
 
-      // String validations
-      if (rules.type === 'string' && typeof value === 'string') {
-        if (rules.minLength && value.length < rules.minLength) {
-          errors.push(`Field '${field}' must be at least ${rules.minLength} characters`);
-        }
-        if (rules.maxLength && value.length > rules.maxLength) {
-          errors.push(`Field '${field}' must be at most ${rules.maxLength} characters`);
-        }
-        if (rules.pattern && !rules.pattern.test(value)) {
-          errors.push(`Field '${field}' has invalid format`);
-        }
-      }
+  middleware.schema = sections;
+  return middleware;
+}
 
-      // Number validations
-      if (rules.type === 'number' && typeof value === 'number') {
-        if (rules.min !== undefined && value < rules.min) {
-          errors.push(`Field '${field}' must be at least ${rules.min}`);
-        }
-        if (rules.max !== undefined && value > rules.max) {
-          errors.push(`Field '${field}' must be at most ${rules.max}`);
-        }
-      }
+/**
+ * Validate a single value against a field map or rule
+ * Returns { value, errors } with the same error objects as validateRequest.
+ *   - coerce: convert strings to the declared types (for text sources)
+ *   - path: prefix for error paths (default 'value')
+ */
+function validateValue(value, schema, { coerce = false, path = 'value', req } = {}) {
+  const errors = [];
+  const checked = checkValue(value, toObjectRule(schema), path, { req, errors, coerce });
+  return { value: checked, errors };
+}
 
-      // Email validation
-      if (rules.type === 'email') {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(value)) {
-          errors.push(`Field '${field}' must be a valid email address`);
-        }
-      }
+// Turn either schema form into { section: objectRule }
+function normalizeSchema(schema) {
+  const keys = Object.keys(schema);
+  const sectioned = keys.length > 0 && keys.every(key => SECTIONS.includes(key));
+  const sections = sectioned ? schema : { body: schema };
 
-      // Enum validation
-      if (rules.enum && !rules.enum.includes(value)) {
-        errors.push(`Field '${field}' must be one of: ${rules.enum.join(', ')}`);
-      }
+  const result = {};
+  for (const [section, fields] of Object.entries(sections)) {
+    const rule = toObjectRule(fields);
+    result[section] = section === 'headers' ? { unknown: 'allow', ...rule } : rule;
+  }
+  return result;
+}
 
-      // Array validation
-      if (rules.type === 'array' && Array.isArray(value)) {
-        if (rules.minLength && value.length < rules.minLength) {
-          errors.push(`Field '${field}' must have at least ${rules.minLength} items`);
-        }
-        if (rules.maxLength && value.length > rules.maxLength) {
-          errors.push(`Field '${field}' must have at most ${rules.maxLength} items`);
-        }
-
-        // Validate array items if schema provided
-        if (rules.items) {
-          value.forEach((item, index) => {
-            for (const [itemField, itemRules] of Object.entries(rules.items)) {
-              const itemValue = item[itemField];
-
-              if (itemRules.required && (itemValue === undefined || itemValue === null)) {
-                errors.push(`Field '${field}[${index}].${itemField}' is required`);
-                continue;
-              }
-
-              if (itemValue !== undefined && itemRules.type) {
-                validateType(itemValue, itemRules.type, `${field}[${index}].${itemField}`, errors);
-              }
-
-              // Number validations for array items
-              if (itemRules.type === 'number' && typeof itemValue === 'number') {
-                if (itemRules.min !== undefined && itemValue < itemRules.min) {
-                  errors.push(`Field '${field}[${index}].${itemField}' must be at least ${itemRules.min}`);
-                }
-                if (itemRules.max !== undefined && itemValue > itemRules.max) {
-                  errors.push(`Field '${field}[${index}].${itemField}' must be at most ${itemRules.max}`);
-                }
-              }
-            }
-          });
-        }
-      }
+// A field map is shorthand for { type: 'object', properties: fieldMap }
+function toObjectRule(fieldsOrRule) {
+  return typeof fieldsOrRule.type === 'string'
+    ? fieldsOrRule
+    : { type: 'object', properties: fieldsOrRule };
+}
+
+function addError(ctx, path, code, message) {
+  ctx.errors.push({ path, code, message });
+}
+
+// "body.items[0].quantity" -> "items[0].quantity" for human-readable messages
+function label(path) {
+  const dot = path.indexOf('.');
+  return dot === -1 ? path : path.slice(dot + 1);
+}
+
+/**
+ * Validate one value against a rule
+ * Returns the value to keep (coerced, defaults applied, unknown fields stripped)
+ */
+function checkValue(value, rule, path, ctx) {
+  const field = label(path);
+
+  // Missing values
+  if (value === undefined || (rule.required && (value === null || value === ''))) {
+    if (rule.required) {
+      addError(ctx, path, 'required', `Field '${field}' is required`);
+      return value;
     }
+    return rule.default !== undefined ? structuredClone(rule.default) : undefined;
+  }
 
-    if (errors.length > 0) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: errors
-      });
+  if (value === null && rule.nullable) {
+    return null;
+  }
+
+  if (ctx.coerce) {
+    value = coerce(value, rule.type);
+  }
+
+  // Type validation
+  if (rule.type && !checkType(value, rule.type)) {
+    const typeName = rule.type === 'email' || rule.type === 'date' ? 'string' : rule.type;
+    const article = /^[aeiou]/.test(typeName) ? 'an' : 'a';
+    addError(ctx, path, 'type', `Field '${field}' must be ${article} ${typeName}`);
+    return value;
+  }
+
+  // Enum validation
+  if (rule.enum && !rule.enum.includes(value)) {
+    addError(ctx, path, 'enum', `Field '${field}' must be one of: ${rule.enum.join(', ')}`);
+  }
+
+  // String validations
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      addError(ctx, path, 'minLength', `Field '${field}' must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      addError(ctx, path, 'maxLength', `Field '${field}' must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      addError(ctx, path, 'pattern', `Field '${field}' has invalid format`);
+    }
+    if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      addError(ctx, path, 'format', `Field '${field}' must be a valid email address`);
     }
+    if (rule.type === 'date' && (!DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+      addError(ctx, path, 'format', `Field '${field}' must be an ISO 8601 date`);
+    }
+  }
 
-    next();
-  };
+  // Number validations
+  if (typeof value === 'number') {
+    if (rule.min !== undefined && value < rule.min) {
+      addError(ctx, path, 'min', `Field '${field}' must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      addError(ctx, path, 'max', `Field '${field}' must be at most ${rule.max}`);
+    }
+  }
+
+  // Array validation
+  if (Array.isArray(value)) {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      addError(ctx, path, 'minItems', `Field '${field}' must have at least ${rule.minLength} items`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      addError(ctx, path, 'maxItems', `Field '${field}' must have at most ${rule.maxLength} items`);
+    }
+
+    // Validate array items if schema provided (a full rule, or a field map
+    // as shorthand for an array of objects)
+    if (rule.items) {
+      const itemRule = toObjectRule(rule.items);
+      value = value.map((item, index) => checkValue(item, itemRule, `${path}[${index}]`, ctx));
+    }
+  }
+
+  // Object validation
+  if (rule.type === 'object' && rule.properties) {
+    value = checkObject(value, rule, path, ctx);
+  }
+
+  // Custom validation
+  if (rule.validate) {
+    const result = rule.validate(value, ctx.req);
+    if (result === false || typeof result === 'string') {
+      addError(ctx, path, 'custom', typeof result === 'string' ? result : `Field '${field}' is invalid`);
+    }
+  }
+
+  return value;
+}
+
+function checkObject(value, rule, path, ctx) {
+  const unknown = rule.unknown || 'reject';
+  const result = {};
+
+  for (const [key, fieldRule] of Object.entries(rule.properties)) {
+    const checked = checkValue(value[key], fieldRule, `${path}.${key}`, ctx);
+    if (checked !== undefined) {
+      result[key] = checked;
+    }
+  }
+
+  for (const key of Object.keys(value)) {
+    if (Object.prototype.hasOwnProperty.call(rule.properties, key)) {
+      continue;
+    }
+    if (unknown === 'allow') {
+      result[key] = value[key];
+    } else if (unknown === 'reject') {
+      addError(ctx, `${path}.${key}`, 'unknown', `Field '${label(`${path}.${key}`)}' is not allowed`);
+    }
+  }
+
+  return result;
 }
 
-function validateType(value, type, field, errors) {
+// Convert query/param/header strings to the declared type where possible
+function coerce(value, type) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (value === 'true' || value === '1') return true;
+      if (value === 'false' || value === '0') return false;
+      return value;
+    case 'array':
+      return value === '' ? [] : value.split(',');
+    default:
+      return value;
+  }
+}
+
+function checkType(value, type) {
   switch (type) {
     case 'string':
-      if (typeof value !== 'string') {
-        errors.push(`Field '${field}' must be a string`);
-        return false;
-      }
-      break;
+    case 'email':
+    case 'date':
+      return typeof value === 'string';
     case 'number':
-      if (typeof value !== 'number' || isNaN(value)) {
-        errors.push(`Field '${field}' must be a number`);
-        return false;
-      }
-      break;
+      return typeof value === 'number' && !isNaN(value);
+    case 'integer':
+      return Number.isInteger(value);
     case 'boolean':
-      if (typeof value !== 'boolean') {
-        errors.push(`Field '${field}' must be a boolean`);
-        return false;
-      }
-      break;
+      return typeof value === 'boolean';
     case 'array':
-      if (!Array.isArray(value)) {
-        errors.push(`Field '${field}' must be an array`);
-        return false;
-      }
-      break;
+      return Array.isArray(value);
     case 'object':
-      if (typeof value !== 'object' || value === null || Array.isArray(value)) {
-        errors.push(`Field '${field}' must be an object`);
-        return false;
-      }
-      break;
-    case 'email':
-      if (typeof value !== 'string') {
-        errors.push(`Field '${field}' must be a string`);
-        return false;
-      }
-      break;
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    default:
+      return true;
   }
-  return true;
 }
 
-module.exports = { validateRequest };
+module.exports = { validateRequest, validateValue, idParams, toObjectRule };
@@ -0,0 +1,33 @@
+const store = require('../store');
+
+/**
+ * Write lock middleware
+ * Every writing request (anything but GET, HEAD and OPTIONS) holds the
+ * store's write lock shared until its response has finished, so:
+ *   - a transactional batch (store.exclusive) starts only once the writes
+ *     in flight are done
+ *   - writes that arrive while the batch runs wait for it, so a rollback
+ *     never undoes them
+ * Reads never wait.
+ *
+ * req.releaseWriteLock() lets go early. POST /batch does, before running
+ * its operations: they take the lock themselves, and would wait forever
+ * behind a batch that holds it.
+ */
+
+const READS = ['GET', 'HEAD', 'OPTIONS'];
+
+function writeLock(req, res, next) {
+  if (READS.includes(req.method)) {
+    return next();
+  }
+
+  store.lockShared().then(release => {
+    req.releaseWriteLock = release;
+    res.on('finish', release);
+    res.on('close', release);
+    next();
+  }, next);
+}
+
+module.exports = { writeLock };
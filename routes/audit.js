@@ -0,0 +1,49 @@
+const express = require('express');
+const { validateRequest } = require('../middleware/validator');
+const { authorize } = require('../middleware/authorize');
+const store = require('../store');
+const { createListQuery } = require('../services/listQuery');
+const audit = require('../services/audit');
+const router = express.Router();
+
+// Shared data store (see store/index.js for drivers)
+const entries = store.repository('auditLog');
+
+const auditList = createListQuery({
+  filterable: {
+    resource: { type: 'string', enum: audit.AUDITED },
+    resourceId: 'integer',
+    action: { type: 'string', enum: audit.ACTIONS },
+    actorId: 'integer',
+    requestId: 'string',
+    at: 'date'
+  },
+  sortable: ['at'],
+  defaultSort: '-at',
+  fields: ['id', 'at', 'resource', 'resourceId', 'action', 'actorId', 'actor', 'requestId', 'changes']
+});
+
+/**
+ * GET /audit
+ * Who changed what and when, across users, products, product variants,
+ * orders and items
+ * (see services/audit.js for the entry format)
+ *
+ * Query params:
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[resource][eq]=products&filter[resourceId][eq]=3
+ *          filter[actorId][eq]=1&filter[at][gte]=2024-01-01&filter[at][lt]=2024-02-01
+ *     (newest first by default)
+ *
+ * Access: admin
+ */
+router.get(
+  '/',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ query: auditList.query }),
+  (req, res) => {
+    res.json(auditList.respond(req, entries.find()));
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { validateRequest } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { requireAuth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { login, refresh, revokeSession } = require('../services/auth');
+const { Unauthorized } = require('../errors');
+const router = express.Router();
+
+/**
+ * POST /auth/login
+ * Log in with username and password
+ *
+ * Body:
+ *   - username: string (required)
+ *   - password: string (required)
+ *
+ * Returns an access token, a refresh token and the user
+ *
+ * Rate limited to 10 attempts per 15 minutes per IP address, against
+ * password guessing.
+ */
+router.post(
+  '/login',
+  rateLimit({ name: 'auth:login', limit: 10, windowMs: 15 * 60 * 1000, algorithm: 'sliding-window' }),
+  validateRequest({
+    username: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  }),
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const tokens = await login(username, password);
+
+    if (!tokens) {
+      throw new Unauthorized('Invalid username or password', { code: 'invalid_credentials' });
+    }
+
+    res.json(tokens);
+  })
+);
+
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new token pair
+ *
+ * Body:
+ *   - refreshToken: string (required)
+ *
+ * Refresh tokens are single use: the old one stops working once exchanged
+ */
+router.post(
+  '/refresh',
+  validateRequest({
+    refreshToken: { type: 'string', required: true }
+  }),
+  (req, res) => {
+    const tokens = refresh(req.body.refreshToken);
+
+    if (!tokens) {
+      throw new Unauthorized('Invalid or expired refresh token', { code: 'invalid_refresh_token' });
+    }
+
+    res.json(tokens);
+  }
+);
+
+/**
+ * POST /auth/logout
+ * Revoke the current session (access and refresh tokens)
+ */
+router.post('/logout', requireAuth, (req, res) => {
+  revokeSession(req.sessionId);
+  res.status(204).send();
+});
+
+/**
+ * GET /auth/me
+ * Get the logged-in user
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
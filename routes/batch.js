@@ -0,0 +1,90 @@
+const express = require('express');
+const { validateRequest } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { MAX_OPERATIONS, runBatch } = require('../services/batch');
+const productSearch = require('../services/productSearch');
+const router = express.Router();
+
+const EXCLUDED_PATH = /^\/(?:batch|events)(?:[/?#]|$)/;
+
+// The path as Express routes it: case-insensitively, percent-decoded, with
+// repeated slashes counted once
+function normalizePath(path) {
+  let decoded = path;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch (err) {
+    // Malformed escapes reach the routers as they are
+  }
+  return decoded.toLowerCase().replace(/\/{2,}/g, '/');
+}
+
+/**
+ * POST /batch
+ * Run several API operations in one request (see services/batch.js)
+ *
+ * Each operation goes through the normal routers and middleware, in order,
+ * and gets its own status and body in the response. Operations use the
+ * batch request's Authorization header unless they send their own, so
+ * they are authorized exactly like separate requests.
+ *
+ * Body:
+ *   - transactional: boolean (optional, default false). If true, the batch
+ *     stops at the first operation answering 4xx/5xx and every write of the
+ *     earlier operations is rolled back; the remaining ones report 424.
+ *     Other writing requests wait while a transactional batch runs.
+ *   - operations: array (required, 1 to BATCH_MAX_OPERATIONS, default 20)
+ *     - method: GET, POST, PUT, PATCH or DELETE
+ *     - path: e.g. /products?limit=5 (not /batch or /events)
+ *     - headers: object (optional), e.g. { "If-Match": "\"3\"" }
+ *     - body: JSON body (optional)
+ *
+ * Response: 200 { transactional, rolledBack, results: [{ status, headers, body }] }
+ *
+ * Access: public (each operation is authorized on its own)
+ */
+router.post(
+  '/',
+  validateRequest({
+    transactional: { type: 'boolean', default: false },
+    operations: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_OPERATIONS,
+      items: {
+        method: { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], required: true },
+        path: {
+          type: 'string',
+          pattern: /^\//,
+          required: true,
+          // Nested batches and never-ending streams cannot be captured
+          validate: path => !EXCLUDED_PATH.test(normalizePath(path)) ||
+            'Batches cannot include /batch or /events'
+        },
+        headers: {
+          type: 'object',
+          properties: {},
+          unknown: 'allow',
+          validate: headers => Object.values(headers).every(value => typeof value === 'string') ||
+            'Header values must be strings'
+        },
+        body: {}
+      }
+    }
+  }),
+  asyncHandler(async (req, res) => {
+    // The operations take the write lock themselves (middleware/writeLock.js)
+    req.releaseWriteLock();
+    const result = await runBatch(req.app, req, req.body);
+
+    // Rolled-back writes may have renamed products the index already saw
+    if (result.rolledBack) {
+      productSearch.rebuild();
+    }
+
+    res.json(result);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,277 @@
+const express = require('express');
+const { validateRequest } = require('../middleware/validator');
+const { authorize } = require('../middleware/authorize');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const store = require('../store');
+const { isActive } = require('../services/integrity');
+const { cartOf, priceCart } = require('../services/carts');
+const orderService = require('../services/orders');
+const { NotFound, UnprocessableEntity } = require('../errors');
+const router = express.Router();
+
+// Shared data store (see store/index.js for drivers)
+const carts = store.repository('carts');
+const users = store.repository('users');
+
+const userParams = {
+  userId: { type: 'integer', min: 1, required: true }
+};
+
+const lineParams = {
+  ...userParams,
+  lineId: { type: 'integer', min: 1, required: true }
+};
+
+// Every cart route: admin, or the user whose cart it is
+const adminOrOwner = authorize({ roles: ['admin'], owner: req => parseInt(req.params.userId) });
+
+function findUser(userId) {
+  const user = users.findById(userId);
+  if (!isActive(user)) {
+    throw new NotFound('User not found');
+  }
+  return user;
+}
+
+function findLine(cart, lineId) {
+  const line = cart.lines.find(l => l.id === lineId);
+  if (!line) {
+    throw new NotFound('Cart line not found');
+  }
+  return line;
+}
+
+// The user's cart for a change (a new, unsaved one if they have none yet).
+// Honors If-Match.
+function cartForUpdate(req) {
+  const { userId } = req.params;
+  findUser(userId);
+
+  const cart = cartOf(userId);
+  if (!cart) {
+    return { userId, lines: [], nextLineId: 1 };
+  }
+
+  checkIfMatch(req, cart);
+  return cart;
+}
+
+// Store the cart's new lines; the first save creates the cart
+function saveLines(cart, lines, changes = {}) {
+  const now = new Date().toISOString();
+  if (cart.id === undefined) {
+    return carts.insert({ ...cart, ...changes, lines, createdAt: now });
+  }
+  return carts.update(cart.id, { ...changes, lines, updatedAt: now });
+}
+
+// No ETag of our own: prices and stock change without the cart changing, so
+// Express's body-hash ETag is the one that tells whether the view is fresh.
+// If-Match on writes takes the cart's version ("<version>") instead.
+function sendCart(res, cart, status = 200) {
+  res.status(status).json(priceCart(cart.userId, cart));
+}
+
+/**
+ * GET /carts/:userId
+ * The user's cart, priced now (see services/carts.js)
+ *
+ * Response:
+ *   {
+ *     userId,
+ *     lines: [{ id, productId, variantId?, sku?, attributes?, name, quantity,
+ *               price, lineTotal, available, addedAt }],
+ *     itemCount, subtotal, total,
+ *     warnings: [{ lineId, code: 'insufficient_stock' | 'unavailable', message, ... }],
+ *     createdAt, updatedAt, version
+ *   }
+ * A user who never added anything gets an empty cart (version: null).
+ *
+ * The ETag is a hash of this response, so it changes with prices and stock
+ * too. Writes take the cart's version as If-Match: "<version>".
+ *
+ * Access: admin, or the user themselves
+ */
+router.get('/:userId', adminOrOwner, validateRequest({ params: userParams }), (req, res) => {
+  const { userId } = req.params;
+  findUser(userId);
+
+  res.json(priceCart(userId));
+});
+
+/**
+ * POST /carts/:userId/lines
+ * Add a product (or variant) to the cart
+ *
+ * Adding one that is already in the cart raises that line's quantity
+ * (200) instead of adding a line (201). Unknown products and variants are
+ * rejected with 422 like in POST /orders; low stock is only a warning.
+ *
+ * Body:
+ *   - productId: number (required)
+ *   - variantId: number (required for products with variants)
+ *   - quantity: number (optional, default: 1)
+ *
+ * Response: the cart. Honors If-Match and Idempotency-Key.
+ *
+ * Access: admin, or the user themselves
+ */
+router.post(
+  '/:userId/lines',
+  adminOrOwner,
+  validateRequest({
+    params: userParams,
+    headers: ifMatchHeader,
+    body: {
+      productId: { type: 'integer', min: 1, required: true },
+      variantId: { type: 'integer', min: 1 },
+      quantity: { type: 'integer', min: 1, default: 1 }
+    }
+  }),
+  idempotent(),
+  (req, res) => {
+    const { productId, variantId, quantity } = req.body;
+    const cart = cartForUpdate(req);
+
+    // 422 for anything an order would reject
+    orderService.checkLineItems([{ productId, variantId, quantity }]);
+
+    const existing = cart.lines.find(l => l.productId === productId && (l.variantId || null) === (variantId || null));
+
+    if (existing) {
+      const lines = cart.lines.map(l => l.id === existing.id ? { ...l, quantity: l.quantity + quantity } : l);
+      return sendCart(res, saveLines(cart, lines));
+    }
+
+    const line = {
+      id: cart.nextLineId,
+      productId,
+      ...(variantId && { variantId }),
+      quantity,
+      addedAt: new Date().toISOString()
+    };
+    sendCart(res, saveLines(cart, [...cart.lines, line], { nextLineId: cart.nextLineId + 1 }), 201);
+  }
+);
+
+/**
+ * PATCH /carts/:userId/lines/:lineId
+ * Change a line's quantity
+ *
+ * Body:
+ *   - quantity: number (required, >= 1; remove the line to drop it)
+ *
+ * Response: the cart. Honors If-Match.
+ *
+ * Access: admin, or the user themselves
+ */
+router.patch(
+  '/:userId/lines/:lineId',
+  adminOrOwner,
+  validateRequest({
+    params: lineParams,
+    headers: ifMatchHeader,
+    body: {
+      quantity: { type: 'integer', min: 1, required: true }
+    }
+  }),
+  (req, res) => {
+    const cart = cartForUpdate(req);
+    const line = findLine(cart, req.params.lineId);
+
+    const lines = cart.lines.map(l => l.id === line.id ? { ...l, quantity: req.body.quantity } : l);
+    sendCart(res, saveLines(cart, lines));
+  }
+);
+
+/**
+ * DELETE /carts/:userId/lines/:lineId
+ * Remove a line from the cart
+ *
+ * Response: the cart. Honors If-Match.
+ *
+ * Access: admin, or the user themselves
+ */
+router.delete(
+  '/:userId/lines/:lineId',
+  adminOrOwner,
+  validateRequest({ params: lineParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const cart = cartForUpdate(req);
+    const line = findLine(cart, req.params.lineId);
+
+    sendCart(res, saveLines(cart, cart.lines.filter(l => l.id !== line.id)));
+  }
+);
+
+/**
+ * DELETE /carts/:userId
+ * Empty the cart
+ *
+ * Honors If-Match.
+ *
+ * Access: admin, or the user themselves
+ */
+router.delete(
+  '/:userId',
+  adminOrOwner,
+  validateRequest({ params: userParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const cart = cartForUpdate(req);
+    if (cart.lines.length > 0) {
+      saveLines(cart, []);
+    }
+
+    res.status(204).send();
+  }
+);
+
+/**
+ * POST /carts/:userId/checkout
+ * Place an order for everything in the cart, then empty it
+ *
+ * The order is placed exactly like POST /orders (services/orders.js): prices
+ * are taken now, stock is reserved, and unknown products (422) or missing
+ * stock (409 insufficient_stock) fail the checkout and leave the cart as it
+ * was. Shares POST /orders' rate limit (30 per minute per user).
+ *
+ * Response: 201 with the order. 422 cart_empty if there is nothing to
+ * order. Honors If-Match (the cart's version, so the order has exactly the
+ * lines last shown) and Idempotency-Key.
+ *
+ * Access: admin, or the user themselves
+ */
+router.post(
+  '/:userId/checkout',
+  rateLimit({ name: 'orders:create', limit: 30, keyBy: 'user' }),
+  adminOrOwner,
+  validateRequest({ params: userParams, headers: ifMatchHeader }),
+  idempotent(),
+  (req, res) => {
+    const { userId } = req.params;
+    findUser(userId);
+
+    const cart = cartOf(userId);
+    if (!cart || cart.lines.length === 0) {
+      throw new UnprocessableEntity('Cart is empty', { code: 'cart_empty' });
+    }
+
+    checkIfMatch(req, cart);
+
+    // The order and the emptied cart commit together
+    const order = store.transaction(() => {
+      const placed = orderService.placeOrder(req, {
+        userId,
+        items: cart.lines.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity }))
+      });
+      saveLines(cart, []);
+      return placed;
+    });
+
+    setETag(res, order).status(201).json(order);
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const express = require('express');
+const path = require('path');
+const { buildSpec } = require('../services/openapi');
+
+/**
+ * API documentation routes
+ *   GET /openapi.json - OpenAPI 3.1 document generated from the routers
+ *   GET /docs         - interactive docs page (self-hosted, no CDN)
+ *
+ * Takes the same mount path -> router map that index.js registers, so
+ * every registered router is documented.
+ */
+
+function createDocsRouter(routers) {
+  const router = express.Router();
+  let spec = null;
+
+  router.get('/openapi.json', (req, res) => {
+    // Routes do not change after startup, so build the document once
+    spec = spec || buildSpec(routers);
+    res.json(spec);
+  });
+
+  router.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, '..', 'public', 'docs.html'));
+  });
+
+  return router;
+}
+
+module.exports = createDocsRouter;
@@ -0,0 +1,140 @@
+const express = require('express');
+const { validateRequest } = require('../middleware/validator');
+const { authorize } = require('../middleware/authorize');
+const { authenticateToken, issueEventsToken } = require('../services/auth');
+const events = require('../services/events');
+const { Unauthorized } = require('../errors');
+const router = express.Router();
+
+// How often an idle stream sends a comment line, so proxies keep it open
+const HEARTBEAT_MS = parseInt(process.env.EVENTS_HEARTBEAT_MS) || 15000;
+
+// How long EventSource clients wait before reconnecting
+const RETRY_MS = 3000;
+
+function toFrame(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Sign in with ?token= (from POST /events/token) when there is no
+// Authorization header, as browsers' EventSource cannot send one
+function queryToken(req, res, next) {
+  if (req.user || req.query.token === undefined) {
+    return next();
+  }
+
+  const result = authenticateToken(String(req.query.token), 'events');
+  if (!result) {
+    return next(new Unauthorized('Invalid or expired token', { code: 'invalid_token' }));
+  }
+
+  req.user = result.user;
+  req.sessionId = result.sessionId;
+  next();
+}
+
+/**
+ * POST /events/token
+ * A short-lived token for GET /events?token=, for clients that cannot send
+ * an Authorization header (browsers' EventSource)
+ *
+ * Response: { token, expiresIn } (seconds, EVENTS_TOKEN_TTL, default 60).
+ * The token only opens the stream, and only until it expires; logging out
+ * revokes it with the session.
+ *
+ * Access: admin
+ */
+router.post('/token', authorize({ roles: ['admin'] }), (req, res) => {
+  res.json(issueEventsToken(req.user, req.sessionId));
+});
+
+/**
+ * GET /events
+ * Stream changes to orders, products and users as Server-Sent Events
+ *
+ * Every event (see services/events.js) is sent as
+ *   id: <event id>
+ *   event: <type, e.g. order.status_changed>
+ *   data: <the event as JSON>
+ *
+ * After a disconnect, EventSource reconnects with a Last-Event-ID header
+ * and gets the events it missed first. If they are no longer buffered, a
+ * "reset" event is sent instead: reload the data, then keep listening.
+ * A comment line is sent every EVENTS_HEARTBEAT_MS (default 15s).
+ *
+ * Query params (all optional, combined with AND):
+ *   - resource: order, product and/or user (comma-separated)
+ *   - type: event types, e.g. order.created,order.status_changed
+ *   - resourceId: only events about these record IDs (comma-separated)
+ *   - token: an events token from POST /events/token, instead of the
+ *     Authorization header (checked when connecting)
+ *   - lastEventId: as the Last-Event-ID header, for a new EventSource
+ *
+ * Headers:
+ *   - Last-Event-ID: resume after this event
+ *
+ * Access: admin
+ */
+router.get(
+  '/',
+  queryToken,
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    query: {
+      token: { type: 'string' },
+      lastEventId: { type: 'integer', min: 0 },
+      resource: { type: 'array', minLength: 1, items: { type: 'string', enum: Object.keys(events.RESOURCES) } },
+      type: { type: 'array', minLength: 1, items: { type: 'string', enum: events.EVENT_TYPES } },
+      resourceId: { type: 'array', minLength: 1, items: { type: 'integer', min: 1 } }
+    },
+    headers: {
+      'last-event-id': { type: 'integer', min: 0 }
+    }
+  }),
+  (req, res) => {
+    const { resource, type, resourceId } = req.query;
+    // Headers are validated but stay strings; EventSource's own header wins
+    const lastEventId = req.get('Last-Event-ID') === undefined
+      ? req.query.lastEventId
+      : parseInt(req.get('Last-Event-ID'));
+
+    const matches = event =>
+      (!resource || resource.includes(event.resource)) &&
+      (!type || type.includes(event.type)) &&
+      (!resourceId || resourceId.includes(event.resourceId));
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Catch up first; nothing can be published between here and subscribe()
+    if (lastEventId !== undefined) {
+      const missed = events.since(lastEventId);
+      if (!missed.complete) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+      }
+      for (const event of missed.events.filter(matches)) {
+        res.write(toFrame(event));
+      }
+    }
+
+    const unsubscribe = events.subscribe(event => {
+      if (matches(event)) {
+        res.write(toFrame(event));
+      }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
+
+module.exports = router;
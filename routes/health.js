@@ -1,4 +1,5 @@
 const express = require('express');
+const store = require('../store');
 const router = express.Router();
 
 // GET /health - Check if server is alive
@@ -6,9 +7,9 @@ router.get('/', (req, res) => {
     res.json({ 
         status: 'ok', 
         uptime: process.uptime(),
+        store: store.driverName(),
         timestamp: new Date().toISOString()
     });
 });
 
 module.exports = router;
-
@@ -1,80 +1,128 @@
 const express = require('express');
+const { validateRequest, idParams } = require('../middleware/validator');
+const { authorize } = require('../middleware/authorize');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const store = require('../store');
+const { createListQuery } = require('../services/listQuery');
+const { isActive } = require('../services/integrity');
+const trash = require('../services/trash');
+const { NotFound } = require('../errors');
 const router = express.Router();
 
-// In-memory data store (we'll use a database in Event 3)
-let items = [
-    { id: 1, name: 'Learn Express', completed: false },
-    { id: 2, name: 'Build an API', completed: false }
-];
+// Shared data store (see store/index.js for drivers)
+const items = store.repository('items');
 
-// GET /items - Get all items
-router.get('/', (req, res) => {
-    res.json(items);
+const itemList = createListQuery({
+    filterable: { name: 'string', completed: 'boolean', createdAt: 'date', deletedAt: 'date' },
+    sortable: ['name', 'completed', 'createdAt'],
+    defaultSort: 'createdAt',
+    fields: ['id', 'name', 'completed', 'createdAt', 'deletedAt', 'version']
 });
 
-// GET /items/:id - Get a single item by ID
-router.get('/:id', (req, res) => {
-    const id = parseInt(req.params.id);
-    const item = items.find(i => i.id === id);
-    
-    if (!item) {
-        return res.status(404).json({ error: 'Item not found' });
-    }
-    
-    res.json(item);
+const itemBody = {
+    name: { type: 'string', minLength: 1 },
+    completed: { type: 'boolean' }
+};
+
+// GET /items - Get all items (filter, sort, limit, cursor, fields: see services/listQuery.js;
+// includeDeleted=true also lists deleted items, admins only)
+router.get('/', validateRequest({ query: { ...itemList.query, ...trash.includeDeletedParam } }), (req, res) => {
+    res.json(itemList.respond(req, items.find(trash.visibleTo(req))));
 });
 
-// POST /items - Create a new item
-router.post('/', (req, res) => {
-    const { name } = req.body;
+// GET /items/:id - Get a single item by ID (includeDeleted=true finds deleted items, admins only)
+router.get('/:id', validateRequest({ params: idParams, query: trash.includeDeletedParam }), (req, res) => {
+    const { id } = req.params;
+    const item = items.findById(id);
     
-    if (!name) {
-        return res.status(400).json({ error: 'Name is required' });
+    if (!item || !trash.visibleTo(req)(item)) {
+        throw new NotFound('Item not found');
     }
     
-    const newItem = {
-        id: items.length + 1,
-        name,
-        completed: false,
-        createdAt: new Date().toISOString()
-    };
-    
-    items.push(newItem);
-    res.status(201).json(newItem);
+    setETag(res, item).json(item);
 });
 
-// PUT /items/:id - Update an item
-router.put('/:id', (req, res) => {
-    const id = parseInt(req.params.id);
-    const item = items.find(i => i.id === id);
+// POST /items - Create a new item (name required, completed optional; honors Idempotency-Key)
+router.post(
+    '/',
+    validateRequest({ body: { ...itemBody, name: { ...itemBody.name, required: true } } }),
+    idempotent(),
+    (req, res) => {
+        const { name, completed = false } = req.body;
+        
+        const newItem = items.insert({
+            name,
+            completed,
+            createdAt: new Date().toISOString()
+        });
+        
+        setETag(res, newItem).status(201).json(newItem);
+    }
+);
+
+// PUT /items/:id - Update an item (name and/or completed; honors If-Match)
+router.put('/:id', validateRequest({ params: idParams, headers: ifMatchHeader, body: itemBody }), (req, res) => {
+    const { id } = req.params;
+    const item = items.findById(id);
     
-    if (!item) {
-        return res.status(404).json({ error: 'Item not found' });
+    if (!isActive(item)) {
+        throw new NotFound('Item not found');
     }
     
+    checkIfMatch(req, item);
+    
     // Update fields if provided
+    const changes = {};
     if (req.body.name !== undefined) {
-        item.name = req.body.name;
+        changes.name = req.body.name;
     }
     if (req.body.completed !== undefined) {
-        item.completed = req.body.completed;
+        changes.completed = req.body.completed;
     }
     
-    res.json(item);
+    const updated = items.update(id, changes);
+    setETag(res, updated).json(updated);
 });
 
-// DELETE /items/:id - Delete an item
-router.delete('/:id', (req, res) => {
-    const id = parseInt(req.params.id);
-    const itemIndex = items.findIndex(i => i.id === id);
-    
-    if (itemIndex === -1) {
-        return res.status(404).json({ error: 'Item not found' });
+// DELETE /items/:id - Move an item to the trash (admin like restore, honors If-Match;
+// see services/trash.js)
+router.delete(
+    '/:id',
+    authorize({ roles: ['admin'] }),
+    validateRequest({ params: idParams, headers: ifMatchHeader }),
+    (req, res) => {
+        const { id } = req.params;
+        const item = items.findById(id);
+        
+        if (!isActive(item)) {
+            throw new NotFound('Item not found');
+        }
+        
+        checkIfMatch(req, item);
+        trash.softDelete(items, id);
+        
+        res.status(204).send(); // 204 No Content
     }
-    
-    items.splice(itemIndex, 1);
-    res.status(204).send(); // 204 No Content
-});
+);
 
-module.exports = router;
+// POST /items/:id/restore - Bring a deleted item back from the trash (admin, honors If-Match)
+router.post(
+    '/:id/restore',
+    authorize({ roles: ['admin'] }),
+    validateRequest({ params: idParams, headers: ifMatchHeader }),
+    (req, res) => {
+        const item = items.findById(req.params.id);
+        
+        if (!item) {
+            throw new NotFound('Item not found');
+        }
+        
+        checkIfMatch(req, item);
+        
+        const restored = trash.restore(items, item);
+        setETag(res, restored).json(restored);
+    }
+);
 
+module.exports = router;
@@ -1,119 +1,186 @@
 const express = require('express');
-const { validateRequest } = require('../middleware/validator');
+const { validateRequest, idParams } = require('../middleware/validator');
 const { asyncHandler } = require('../middleware/asyncHandler');
+const { authorize, isAdmin } = require('../middleware/authorize');
+const { requireAuth } = require('../middleware/auth');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const store = require('../store');
+const { releaseStock } = require('../services/inventory');
+const { actorOf, placeOrder } = require('../services/orders');
+const orderStateMachine = require('../services/orderStateMachine');
+const { createListQuery } = require('../services/listQuery');
+const bulk = require('../services/bulk');
+const events = require('../services/events');
+const { NotFound } = require('../errors');
 const router = express.Router();
 
-// In-memory data stores
-let orders = [
-  {
-    id: 1,
-    userId: 1,
-    items: [
-      { productId: 1, quantity: 1, price: 999.99 }
-    ],
-    status: 'completed',
-    total: 999.99,
-    createdAt: '2024-01-05T00:00:00.000Z'
-  }
-];
+// Shared data store (see store/index.js for drivers)
+const orders = store.repository('orders');
+
+const orderList = createListQuery({
+  filterable: {
+    userId: 'integer',
+    status: { type: 'string', enum: orderStateMachine.STATES },
+    total: 'number',
+    createdAt: 'date',
+    updatedAt: 'date'
+  },
+  sortable: ['createdAt', 'total', 'status', 'userId'],
+  defaultSort: '-createdAt',
+  fields: ['id', 'userId', 'items', 'status', 'subtotal', 'total', 'history', 'createdAt', 'updatedAt', 'version']
+});
+
+// Cancelled orders give their stock back
+orderStateMachine.onEnter('cancelled', order => releaseStock(order.items));
+
+// Owner of the order in req.params.id (null if it does not exist)
+const orderOwner = req => {
+  const order = orders.findById(parseInt(req.params.id));
+  return order && order.userId;
+};
 
 /**
  * GET /orders
  * Get all orders with filtering
  *
+ * Access: admins see every order, users only their own
+ *
  * Query params:
- *   - userId: filter by user ID
- *   - status: filter by status (pending, processing, completed, cancelled)
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[status][in]=pending,processing&filter[userId][eq]=2
+ *     (sortable: createdAt, total, status, userId; newest first by default)
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const { userId, status } = req.query;
-
-  // Simulate async operation (database query)
-  await new Promise(resolve => setTimeout(resolve, 10));
-
-  let result = [...orders];
+router.get(
+  '/',
+  requireAuth,
+  validateRequest({ query: orderList.query }),
+  asyncHandler(async (req, res) => {
+    // Users only ever see their own orders, whatever the filter says
+    const result = isAdmin(req)
+      ? orders.find()
+      : orders.find(o => o.userId === req.user.id);
 
-  if (userId) {
-    result = result.filter(o => o.userId === parseInt(userId));
-  }
+    res.json(orderList.respond(req, result));
+  })
+);
 
-  if (status) {
-    result = result.filter(o => o.status === status);
-  }
+/**
+ * GET /orders/export
+ * Download orders as CSV or NDJSON (streamed), one order per line
+ *
+ * CSV has one column per order field, with itemCount instead of the line
+ * items; NDJSON lines are complete orders. Pick columns with fields=.
+ *
+ * Query params:
+ *   - format: csv (default) or ndjson
+ *   - filter, sort, fields: as for GET /orders
+ *     e.g. filter[createdAt][gte]=2024-01-01&filter[createdAt][lt]=2024-02-01
+ *
+ * Access: admin
+ */
+router.get(
+  '/export',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    query: {
+      filter: orderList.query.filter,
+      sort: orderList.query.sort,
+      fields: orderList.query.fields,
+      ...bulk.formatParam
+    }
+  }),
+  asyncHandler(async (req, res) => {
+    const { format, fields } = req.query;
+    let records = orderList.select(req, orders.find());
+    let columns = fields;
+
+    // Line items do not fit in a CSV cell, so summarize them unless asked for
+    if (format === 'csv' && !fields) {
+      records = records.map(order => ({ ...order, itemCount: order.items.length }));
+      columns = ['id', 'userId', 'status', 'itemCount', 'subtotal', 'total', 'createdAt', 'updatedAt'];
+    }
 
-  res.json({
-    count: result.length,
-    orders: result
-  });
-}));
+    await bulk.streamExport(res, records, { format, columns, filename: 'orders' });
+  })
+);
 
 /**
  * GET /orders/:id
  * Get a single order by ID
+ *
+ * Access: admin, or the user who placed it
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
-
-  // Simulate async operation
-  await new Promise(resolve => setTimeout(resolve, 10));
+router.get(
+  '/:id',
+  authorize({ roles: ['admin'], owner: orderOwner }),
+  validateRequest({ params: idParams }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-  const order = orders.find(o => o.id === id);
+    const order = orders.findById(id);
 
-  if (!order) {
-    return res.status(404).json({ error: 'Order not found' });
-  }
+    if (!order) {
+      throw new NotFound('Order not found');
+    }
 
-  res.json(order);
-}));
+    setETag(res, order).json(order);
+  })
+);
 
 /**
  * POST /orders
  * Create a new order
  *
+ * Placed by services/orders.js (shared with cart checkout).
+ *
+ * Prices come from the products store, not the client: the current price
+ * is snapshotted onto each line item and totals are computed in cents.
+ * Unknown users, products and variants are rejected with 422, and so are
+ * lines of a product with variants that do not name one.
+ *
+ * Stock for every line item is reserved in the same transaction as the
+ * order is created. If any product is short, nothing is deducted and the
+ * response is 409 with the list of shortages.
+ *
+ * Clients that retry should send an Idempotency-Key header: a retry with
+ * the same key replays the first response instead of placing a second order.
+ *
+ * Rate limited to 30 per minute per user (bursts allowed).
+ *
  * Body:
  *   - userId: number (required)
  *   - items: array (required)
  *     - productId: number
+ *     - variantId: number (required for products with variants)
  *     - quantity: number
- *     - price: number
+ *
+ * Access: admin, or a user ordering for themselves
  */
 router.post(
   '/',
+  rateLimit({ name: 'orders:create', limit: 30, keyBy: 'user' }),
   validateRequest({
-    userId: { type: 'number', required: true },
+    userId: { type: 'integer', required: true },
     items: {
       type: 'array',
       required: true,
       minLength: 1,
       items: {
-        productId: { type: 'number', required: true },
-        quantity: { type: 'number', min: 1, required: true },
-        price: { type: 'number', min: 0, required: true }
+        productId: { type: 'integer', required: true },
+        variantId: { type: 'integer', min: 1 },
+        quantity: { type: 'integer', min: 1, required: true }
       }
     }
   }),
+  // After validation, so the owner check compares a number ("2" is a 400, not a 403)
+  authorize({ roles: ['admin'], owner: req => req.body.userId }),
+  idempotent(),
   asyncHandler(async (req, res) => {
-    const { userId, items } = req.body;
-
-    // Calculate total
-    const total = items.reduce((sum, item) => {
-      return sum + (item.price * item.quantity);
-    }, 0);
-
-    // Simulate async operations (validate user, check inventory, etc.)
-    await new Promise(resolve => setTimeout(resolve, 10));
-
-    const newOrder = {
-      id: Math.max(...orders.map(o => o.id), 0) + 1,
-      userId,
-      items,
-      status: 'pending',
-      total: parseFloat(total.toFixed(2)),
-      createdAt: new Date().toISOString()
-    };
-
-    orders.push(newOrder);
-    res.status(201).json(newOrder);
+    const newOrder = placeOrder(req, req.body);
+
+    setETag(res, newOrder).status(201).json(newOrder);
   })
 );
 
@@ -121,93 +188,93 @@ router.post(
  * PATCH /orders/:id/status
  * Update order status
  *
+ * Allowed transitions come from services/orderStateMachine.js. Every change
+ * is recorded in order.history. Honors If-Match.
+ *
  * Body:
- *   - status: string (pending, processing, completed, cancelled)
+ *   - status: string (pending, processing, on_hold, shipped, completed,
+ *     cancelled, refunded)
+ *   - reason: string (optional, stored in the history)
+ *
+ * Access: admin
  */
 router.patch(
   '/:id/status',
+  authorize({ roles: ['admin'] }),
   validateRequest({
-    status: {
-      type: 'string',
-      enum: ['pending', 'processing', 'completed', 'cancelled'],
-      required: true
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      status: {
+        type: 'string',
+        enum: orderStateMachine.STATES,
+        required: true
+      },
+      reason: { type: 'string', maxLength: 500 }
     }
   }),
   asyncHandler(async (req, res) => {
-    const id = parseInt(req.params.id);
-    const { status } = req.body;
-
-    // Simulate async operation
-    await new Promise(resolve => setTimeout(resolve, 10));
+    const { id } = req.params;
+    const { status, reason } = req.body;
 
-    const order = orders.find(o => o.id === id);
+    const order = orders.findById(id);
 
     if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+      throw new NotFound('Order not found');
     }
 
-    // Validate status transition
-    const validTransitions = {
-      pending: ['processing', 'cancelled'],
-      processing: ['completed', 'cancelled'],
-      completed: [],
-      cancelled: []
-    };
-
-    if (!validTransitions[order.status].includes(status)) {
-      return res.status(400).json({
-        error: 'Invalid status transition',
-        currentStatus: order.status,
-        requestedStatus: status,
-        allowedTransitions: validTransitions[order.status]
-      });
-    }
+    checkIfMatch(req, order);
 
-    order.status = status;
-    order.updatedAt = new Date().toISOString();
+    // Throws InvalidTransition if the state machine does not allow it
+    const updated = orderStateMachine.transition(order, status, { actor: actorOf(req), reason });
+    events.publish(req, 'order.status_changed', updated, { from: order.status, to: status });
 
-    res.json(order);
+    setETag(res, updated).json(updated);
   })
 );
 
 /**
  * DELETE /orders/:id
- * Cancel an order (soft delete)
+ * Cancel an order (soft delete) and return its stock
+ *
+ * Same as PATCH /orders/:id/status with "cancelled"; an optional "reason"
+ * in the body is stored in the history. Honors If-Match.
+ *
+ * Access: admin, or the user who placed it
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
-  const id = parseInt(req.params.id);
+router.delete(
+  '/:id',
+  authorize({ roles: ['admin'], owner: orderOwner }),
+  validateRequest({
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      reason: { type: 'string', maxLength: 500 }
+    }
+  }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-  // Simulate async operation
-  await new Promise(resolve => setTimeout(resolve, 10));
+    const order = orders.findById(id);
 
-  const order = orders.find(o => o.id === id);
+    if (!order) {
+      throw new NotFound('Order not found');
+    }
 
-  if (!order) {
-    return res.status(404).json({ error: 'Order not found' });
-  }
+    checkIfMatch(req, order);
 
-  // Only allow cancellation if order is pending or processing
-  if (order.status === 'completed') {
-    return res.status(400).json({
-      error: 'Cannot cancel completed order',
-      status: order.status
+    // Throws InvalidTransition unless the order can still be cancelled
+    const cancelled = orderStateMachine.transition(order, 'cancelled', {
+      actor: actorOf(req),
+      reason: req.body.reason || 'Cancelled'
     });
-  }
+    events.publish(req, 'order.status_changed', cancelled, { from: order.status, to: 'cancelled' });
 
-  if (order.status === 'cancelled') {
-    return res.status(400).json({
-      error: 'Order already cancelled',
-      status: order.status
+    setETag(res, cancelled).json({
+      message: 'Order cancelled',
+      order: cancelled
     });
-  }
-
-  order.status = 'cancelled';
-  order.cancelledAt = new Date().toISOString();
-
-  res.json({
-    message: 'Order cancelled',
-    order
-  });
-}));
+  })
+);
 
 module.exports = router;
@@ -1,176 +1,380 @@
 const express = require('express');
-const { validateRequest } = require('../middleware/validator');
+const { validateRequest, idParams } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { authorize } = require('../middleware/authorize');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const { requestContext } = require('../middleware/requestContext');
+const store = require('../store');
+const {
+  isActive,
+  openOrderIdsForProduct,
+  openOrderIdsForVariant,
+  deleteReferenced
+} = require('../services/integrity');
+const { createListQuery } = require('../services/listQuery');
+const productSearch = require('../services/productSearch');
+const bulk = require('../services/bulk');
+const events = require('../services/events');
+const trash = require('../services/trash');
+const variantService = require('../services/variants');
+const { NotFound, Conflict } = require('../errors');
 const router = express.Router();
 
-// In-memory data store
-let products = [
-  { id: 1, name: 'Laptop', price: 999.99, category: 'electronics', stock: 50, createdAt: '2024-01-01T00:00:00.000Z' },
-  { id: 2, name: 'Desk Chair', price: 199.99, category: 'furniture', stock: 120, createdAt: '2024-01-02T00:00:00.000Z' },
-  { id: 3, name: 'Coffee Mug', price: 12.99, category: 'kitchenware', stock: 200, createdAt: '2024-01-03T00:00:00.000Z' }
-];
+// Shared data store (see store/index.js for drivers)
+const products = store.repository('products');
+const variants = store.repository('productVariants');
+
+const productList = createListQuery({
+  filterable: {
+    name: 'string',
+    category: 'string',
+    price: 'number',
+    stock: 'integer',
+    createdAt: 'date',
+    updatedAt: 'date',
+    deletedAt: 'date'
+  },
+  sortable: ['name', 'price', 'stock', 'createdAt'],
+  defaultSort: 'name',
+  fields: ['id', 'name', 'price', 'category', 'stock', 'variants', 'createdAt', 'updatedAt', 'deletedAt', 'version']
+});
+
+const variantList = createListQuery({
+  filterable: {
+    sku: 'string',
+    price: 'number',
+    stock: 'integer',
+    createdAt: 'date'
+  },
+  sortable: ['sku', 'price', 'stock', 'createdAt'],
+  defaultSort: 'createdAt',
+  fields: ['id', 'productId', 'sku', 'price', 'stock', 'attributes', 'createdAt', 'updatedAt', 'version']
+});
+
+const variantParams = {
+  ...idParams,
+  variantId: { type: 'integer', min: 1, required: true }
+};
+
+// { color: 'black', size: 'L' }: at least one attribute, values non-empty strings
+const attributesRule = {
+  type: 'object',
+  properties: {},
+  unknown: 'allow',
+  validate: attributes => {
+    const entries = Object.entries(attributes);
+    if (entries.length === 0 || entries.length > 20) {
+      return 'Give between 1 and 20 attributes';
+    }
+    return entries.every(([, value]) => typeof value === 'string' && value.trim() !== '') ||
+      'Attribute values must be non-empty strings';
+  }
+};
+
+// ?attributes[color]=black,red&attributes[size]=L
+const attributesFilterRule = {
+  type: 'object',
+  properties: {},
+  unknown: 'allow',
+  validate: filter => Object.values(filter).every(value => [].concat(value).every(v => typeof v === 'string')) ||
+    'Attribute filter values must be strings'
+};
+
+// ETag / If-Match of a product response, which includes its variants
+const taggable = product => ({ version: variantService.versionOf(product) });
+
+// Products with variants keep their stock on the variants
+function rejectProductStock(product) {
+  throw new Conflict('This product is stocked per variant; change the stock of its variants', {
+    code: 'stocked_per_variant',
+    variantStock: `/products/${product.id}/variants/{variantId}/stock`
+  });
+}
+
+// New products, from POST /products or a row of POST /products/import
+const productSchema = {
+  name: { type: 'string', minLength: 1, required: true },
+  price: { type: 'number', min: 0, required: true },
+  category: { type: 'string', minLength: 1, required: true },
+  stock: { type: 'integer', min: 0, default: 0 }
+};
+
+function createProduct({ name, price, category, stock = 0 }) {
+  return products.insert({
+    name,
+    price,
+    category,
+    stock,
+    createdAt: new Date().toISOString()
+  });
+}
 
 /**
  * GET /products
  * Get all products with filtering, sorting, and pagination
  *
+ * Every product comes with its variants (see services/variants.js); the
+ * stock of a product with variants is their total, also for filter and sort.
+ *
  * Query params:
- *   - category: filter by category
- *   - minPrice: minimum price filter
- *   - maxPrice: maximum price filter
- *   - inStock: only show in-stock items (true/false)
- *   - sort: field to sort by (name, price, stock)
- *   - order: sort order (asc, desc)
- *   - page: page number (default: 1)
- *   - limit: items per page (default: 10)
- */
-router.get('/', (req, res) => {
-  const {
-    category,
-    minPrice,
-    maxPrice,
-    inStock,
-    sort = 'name',
-    order = 'asc',
-    page = 1,
-    limit = 10
-  } = req.query;
-
-  let result = [...products];
+ *   - inStock: only show in-stock items (true/false; for products with
+ *     variants, any variant in stock)
+ *   - attributes: only products with a variant matching every attribute,
+ *     e.g. attributes[color]=black,red&attributes[size]=L (comma: any of;
+ *     case-insensitive)
+ *   - includeDeleted: also list deleted products (admins only)
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[category][eq]=electronics&filter[price][lte]=500
+ *     (sortable: name, price, stock, createdAt)
+ */
+router.get(
+  '/',
+  validateRequest({
+    query: {
+      ...productList.query,
+      ...trash.includeDeletedParam,
+      inStock: { type: 'boolean' },
+      attributes: attributesFilterRule
+    }
+  }),
+  (req, res) => {
+    let result = products.find(trash.visibleTo(req)).map(variantService.withVariants);
 
-  // Filter by category
-  if (category) {
-    result = result.filter(p => p.category === category);
-  }
+    // Filter in-stock only
+    if (req.query.inStock) {
+      result = result.filter(p => p.stock > 0);
+    }
 
-  // Filter by price range
-  if (minPrice) {
-    result = result.filter(p => p.price >= parseFloat(minPrice));
-  }
-  if (maxPrice) {
-    result = result.filter(p => p.price <= parseFloat(maxPrice));
-  }
+    if (req.query.attributes) {
+      const filter = Object.fromEntries(Object.entries(req.query.attributes)
+        .map(([name, value]) => [name, [].concat(value).flatMap(v => v.split(','))]));
+      result = result.filter(variantService.attributeMatcher(filter));
+    }
 
-  // Filter in-stock only
-  if (inStock === 'true') {
-    result = result.filter(p => p.stock > 0);
+    res.json(productList.respond(req, result));
   }
+);
 
-  // Sort
-  const validSortFields = ['name', 'price', 'stock', 'createdAt'];
-  if (validSortFields.includes(sort)) {
-    result.sort((a, b) => {
-      const aVal = a[sort];
-      const bVal = b[sort];
+// Search results are products plus their relevance score
+const searchList = createListQuery({
+  filterable: {
+    category: 'string',
+    price: 'number',
+    stock: 'integer',
+    score: 'number'
+  },
+  sortable: ['score', 'name', 'price'],
+  defaultSort: '-score',
+  fields: ['id', 'name', 'price', 'category', 'stock', 'createdAt', 'updatedAt', 'version', 'score']
+});
 
-      if (typeof aVal === 'string') {
-        return order === 'asc'
-          ? aVal.localeCompare(bVal)
-          : bVal.localeCompare(aVal);
-      }
+/**
+ * GET /products/search
+ * Full-text search on name and category (see services/productSearch.js)
+ *
+ * Matching is case-insensitive and typo tolerant, every word of q must
+ * match, and results are ranked by relevance (best first).
+ *
+ * Facet counts cover every product matching q, before filter[] is applied,
+ * so a storefront can show them next to the results and refine with
+ * filter[category][in]=... or filter[price][gte]=...&filter[price][lt]=...
+ *
+ * Query params:
+ *   - q: search text (required)
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     (sortable: score, name, price; default -score)
+ *
+ * Response: list envelope plus
+ *   facets: { category: [{ value, count }], price: [{ key, min, max, count }] }
+ */
+router.get(
+  '/search',
+  validateRequest({
+    query: {
+      ...searchList.query,
+      q: { type: 'string', minLength: 1, maxLength: 200, required: true }
+    }
+  }),
+  (req, res) => {
+    const matches = productSearch.search(req.query.q);
+    const records = matches.map(({ product, score }) => ({ ...variantService.withVariants(product), score }));
 
-      return order === 'asc' ? aVal - bVal : bVal - aVal;
+    res.json({
+      ...searchList.respond(req, records),
+      facets: productSearch.facets(matches.map(({ product }) => product))
     });
   }
+);
 
-  // Pagination
-  const pageNum = Math.max(1, parseInt(page));
-  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-  const startIndex = (pageNum - 1) * limitNum;
-  const endIndex = startIndex + limitNum;
+/**
+ * POST /products/import
+ * Create many products from a CSV or NDJSON file
+ *
+ * Send the file as the body with Content-Type text/csv or
+ * application/x-ndjson. CSV columns (NDJSON keys) are the POST /products
+ * fields: name, price, category, stock. Every row is validated like
+ * POST /products; see services/bulk.js for the report format.
+ *
+ * Query params:
+ *   - dryRun: validate only (true/false)
+ *   - onError: abort (default, all or nothing) or skip (import valid rows)
+ *
+ * Access: admin
+ */
+router.post(
+  '/import',
+  authorize({ roles: ['admin'] }),
+  express.text({ type: bulk.IMPORT_TYPES, limit: bulk.IMPORT_LIMIT }),
+  requestContext,
+  validateRequest({ query: bulk.importQuery }),
+  asyncHandler(async (req, res) => {
+    const report = await bulk.importRows(req, {
+      schema: productSchema,
+      create: createProduct
+    });
 
-  const paginatedResults = result.slice(startIndex, endIndex);
+    for (const row of report.rows) {
+      if (row.status === 'created') {
+        const product = products.findById(row.id);
+        productSearch.indexProduct(product);
+        events.publish(req, 'product.created', product);
+      }
+    }
 
-  res.json({
-    page: pageNum,
-    limit: limitNum,
-    total: result.length,
-    totalPages: Math.ceil(result.length / limitNum),
-    products: paginatedResults
-  });
-});
+    res.status(report.created > 0 ? 201 : 200).json(report);
+  })
+);
+
+/**
+ * GET /products/export
+ * Download products as CSV or NDJSON (streamed)
+ *
+ * Query params:
+ *   - format: csv (default) or ndjson
+ *   - filter, sort, fields: as for GET /products
+ *
+ * Access: admin
+ */
+router.get(
+  '/export',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    query: {
+      filter: productList.query.filter,
+      sort: productList.query.sort,
+      fields: productList.query.fields,
+      ...bulk.formatParam
+    }
+  }),
+  asyncHandler(async (req, res) => {
+    await bulk.streamExport(res, productList.select(req, products.find(isActive).map(variantService.withVariants)), {
+      format: req.query.format,
+      columns: req.query.fields || ['id', 'name', 'price', 'category', 'stock', 'createdAt', 'updatedAt'],
+      filename: 'products'
+    });
+  })
+);
 
 /**
  * GET /products/:id
  * Get a single product by ID
+ *
+ * Query params:
+ *   - includeDeleted: also find a deleted product (admins only)
  */
-router.get('/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const product = products.find(p => p.id === id);
+router.get('/:id', validateRequest({ params: idParams, query: trash.includeDeletedParam }), (req, res) => {
+  const { id } = req.params;
+  const product = products.findById(id);
 
-  if (!product) {
-    return res.status(404).json({ error: 'Product not found' });
+  if (!product || !trash.visibleTo(req)(product)) {
+    throw new NotFound('Product not found');
   }
 
-  res.json(product);
+  setETag(res, taggable(product)).json(variantService.withVariants(product));
 });
 
 /**
  * POST /products
  * Create a new product
  *
+ * Access: admin
+ *
  * Body:
  *   - name: string (required)
  *   - price: number (required, > 0)
  *   - category: string (required)
  *   - stock: number (optional, default: 0)
+ *
+ * Honors Idempotency-Key.
  */
 router.post(
   '/',
-  validateRequest({
-    name: { type: 'string', minLength: 1, required: true },
-    price: { type: 'number', min: 0, required: true },
-    category: { type: 'string', minLength: 1, required: true },
-    stock: { type: 'number', min: 0, default: 0 }
-  }),
+  authorize({ roles: ['admin'] }),
+  validateRequest(productSchema),
+  idempotent(),
   (req, res) => {
-    const { name, price, category, stock = 0 } = req.body;
-
-    const newProduct = {
-      id: Math.max(...products.map(p => p.id), 0) + 1,
-      name,
-      price,
-      category,
-      stock,
-      createdAt: new Date().toISOString()
-    };
+    const newProduct = createProduct(req.body);
+    productSearch.indexProduct(newProduct);
+    events.publish(req, 'product.created', newProduct);
 
-    products.push(newProduct);
-    res.status(201).json(newProduct);
+    setETag(res, taggable(newProduct)).status(201).json(variantService.withVariants(newProduct));
   }
 );
 
 /**
  * PUT /products/:id
  * Update a product (full update)
+ *
+ * For a product with variants, stock must be the total shown by GET (409
+ * stocked_per_variant otherwise); change the variants' stock instead.
+ *
+ * Send the product's ETag in If-Match to get 412 instead of overwriting
+ * someone else's change.
+ *
+ * Access: admin
  */
 router.put(
   '/:id',
+  authorize({ roles: ['admin'] }),
   validateRequest({
-    name: { type: 'string', minLength: 1, required: true },
-    price: { type: 'number', min: 0, required: true },
-    category: { type: 'string', minLength: 1, required: true },
-    stock: { type: 'number', min: 0, required: true }
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      name: { type: 'string', minLength: 1, required: true },
+      price: { type: 'number', min: 0, required: true },
+      category: { type: 'string', minLength: 1, required: true },
+      stock: { type: 'integer', min: 0, required: true }
+    }
   }),
   (req, res) => {
-    const id = parseInt(req.params.id);
-    const productIndex = products.findIndex(p => p.id === id);
+    const { id } = req.params;
+    const existing = products.findById(id);
 
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (!isActive(existing)) {
+      throw new NotFound('Product not found');
     }
 
+    checkIfMatch(req, taggable(existing));
+
     const { name, price, category, stock } = req.body;
+    const stocked = variantService.hasVariants(existing.id);
+
+    if (stocked && stock !== variantService.withVariants(existing).stock) {
+      rejectProductStock(existing);
+    }
 
-    products[productIndex] = {
-      ...products[productIndex],
+    const product = products.update(id, {
       name,
       price,
       category,
-      stock,
+      ...(!stocked && { stock }),
       updatedAt: new Date().toISOString()
-    };
+    });
+    productSearch.indexProduct(product);
+    events.publish(req, 'product.updated', product);
 
-    res.json(products[productIndex]);
+    setETag(res, taggable(product)).json(variantService.withVariants(product));
   }
 );
 
@@ -178,40 +382,59 @@ router.put(
  * PATCH /products/:id/stock
  * Update product stock (increment or decrement)
  *
+ * Access: admin
+ *
  * Body:
  *   - amount: number (positive to add, negative to subtract)
+ *
+ * Products with variants answer 409 stocked_per_variant: use
+ * PATCH /products/:id/variants/:variantId/stock. Honors If-Match.
  */
 router.patch(
   '/:id/stock',
+  authorize({ roles: ['admin'] }),
   validateRequest({
-    amount: { type: 'number', required: true }
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      amount: { type: 'integer', required: true }
+    }
   }),
   (req, res) => {
-    const id = parseInt(req.params.id);
-    const product = products.find(p => p.id === id);
+    const { id } = req.params;
+    const product = products.findById(id);
 
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (!isActive(product)) {
+      throw new NotFound('Product not found');
+    }
+
+    checkIfMatch(req, taggable(product));
+
+    if (variantService.hasVariants(product.id)) {
+      rejectProductStock(product);
     }
 
     const { amount } = req.body;
     const newStock = product.stock + amount;
 
     if (newStock < 0) {
-      return res.status(400).json({
-        error: 'Insufficient stock',
+      throw new Conflict('Insufficient stock', {
+        code: 'insufficient_stock',
         current: product.stock,
         requested: amount
       });
     }
 
-    product.stock = newStock;
-    product.updatedAt = new Date().toISOString();
+    const updated = products.update(id, {
+      stock: newStock,
+      updatedAt: new Date().toISOString()
+    });
+    events.publish(req, 'product.updated', updated);
 
-    res.json({
-      id: product.id,
-      name: product.name,
-      stock: product.stock,
+    setETag(res, taggable(updated)).json({
+      id: updated.id,
+      name: updated.name,
+      stock: updated.stock,
       change: amount
     });
   }
@@ -219,18 +442,346 @@ router.patch(
 
 /**
  * DELETE /products/:id
- * Delete a product
+ * Delete a product (to the trash, see services/trash.js)
+ *
+ * Products in open orders are protected by PRODUCT_DELETE_POLICY
+ * (see services/integrity.js): either 409 naming the orders, or delete
+ * anyway. Honors If-Match.
+ *
+ * Access: admin
  */
-router.delete('/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const productIndex = products.findIndex(p => p.id === id);
+router.delete(
+  '/:id',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ params: idParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const { id } = req.params;
+    const product = products.findById(id);
+
+    if (!isActive(product)) {
+      throw new NotFound('Product not found');
+    }
+
+    checkIfMatch(req, taggable(product));
+
+    const { outcome, orderIds } = deleteReferenced(products, id, openOrderIdsForProduct(id));
+
+    if (outcome !== 'blocked') {
+      productSearch.removeProduct(id);
+      events.publish(req, 'product.deleted', products.findById(id));
+    }
 
-  if (productIndex === -1) {
-    return res.status(404).json({ error: 'Product not found' });
+    if (outcome === 'blocked') {
+      throw new Conflict('Product is referenced by open orders', {
+        code: 'referenced_by_open_orders',
+        orderIds
+      });
+    }
+
+    if (outcome === 'soft-deleted') {
+      return res.json({
+        message: 'Product soft-deleted (referenced by open orders)',
+        orderIds,
+        product: products.findById(id)
+      });
+    }
+
+    res.status(204).send();
   }
+);
+
+/**
+ * POST /products/:id/restore
+ * Bring a deleted product back from the trash
+ *
+ * 409 not_deleted if the product is not deleted. Honors If-Match.
+ *
+ * Access: admin
+ */
+router.post(
+  '/:id/restore',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ params: idParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const product = products.findById(req.params.id);
 
-  products.splice(productIndex, 1);
-  res.status(204).send();
+    if (!product) {
+      throw new NotFound('Product not found');
+    }
+
+    checkIfMatch(req, taggable(product));
+
+    const restored = trash.restore(products, product);
+    productSearch.indexProduct(restored);
+    events.publish(req, 'product.restored', restored);
+
+    setETag(res, taggable(restored)).json(variantService.withVariants(restored));
+  }
+);
+
+function findActiveProduct(id) {
+  const product = products.findById(id);
+  if (!isActive(product)) {
+    throw new NotFound('Product not found');
+  }
+  return product;
+}
+
+function findVariant(product, variantId) {
+  const variant = variants.findById(variantId);
+  if (!variant || variant.productId !== product.id) {
+    throw new NotFound('Variant not found');
+  }
+  return variant;
+}
+
+// 409 if another variant already uses the SKU or the attribute combination
+function checkVariantUnique(product, { sku, attributes }, exceptId = null) {
+  if (sku !== undefined) {
+    const taken = variantService.findBySku(sku);
+    if (taken && taken.id !== exceptId) {
+      throw new Conflict('SKU already exists', { code: 'sku_taken', variantId: taken.id });
+    }
+  }
+
+  if (attributes !== undefined) {
+    const twin = variantService.findByAttributes(product.id, attributes, exceptId);
+    if (twin) {
+      throw new Conflict('Another variant of this product has the same attributes', {
+        code: 'duplicate_attributes',
+        variantId: twin.id
+      });
+    }
+  }
+}
+
+// 409 if the first variant would strand units kept on the product itself:
+// its own stock, or what its open orders give back when cancelled
+function checkFirstVariant(product) {
+  if (variantService.hasVariants(product.id)) {
+    return;
+  }
+
+  if (product.stock > 0) {
+    throw new Conflict('Product still has stock of its own; set it to 0 and give it to the variants', {
+      code: 'product_has_stock',
+      stock: product.stock
+    });
+  }
+
+  const orderIds = openOrderIdsForProduct(product.id);
+  if (orderIds.length > 0) {
+    throw new Conflict('Product is in open orders without a variant', {
+      code: 'referenced_by_open_orders',
+      orderIds
+    });
+  }
+}
+
+/**
+ * GET /products/:id/variants
+ * List a product's variants
+ *
+ * Query params:
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[stock][gt]=0 (sortable: sku, price, stock, createdAt)
+ */
+router.get(
+  '/:id/variants',
+  validateRequest({ params: idParams, query: variantList.query }),
+  (req, res) => {
+    const product = findActiveProduct(req.params.id);
+    res.json(variantList.respond(req, variantService.variantsOf(product.id)));
+  }
+);
+
+/**
+ * GET /products/:id/variants/:variantId
+ * Get a single variant
+ */
+router.get('/:id/variants/:variantId', validateRequest({ params: variantParams }), (req, res) => {
+  const variant = findVariant(findActiveProduct(req.params.id), req.params.variantId);
+  setETag(res, variant).json(variant);
 });
 
+/**
+ * POST /products/:id/variants
+ * Add a variant to a product
+ *
+ * Once a product has variants, orders must name one of them and stock and
+ * prices are taken from it (see services/variants.js).
+ *
+ * Body:
+ *   - sku: string (required, unique; letters, digits, ".", "_", "-")
+ *   - attributes: object (required), e.g. { "color": "black", "size": "L" }
+ *     (no two variants of a product may have the same attributes)
+ *   - price: number (optional; null or missing uses the product's price)
+ *   - stock: number (optional, default: 0)
+ *
+ * 409 sku_taken or duplicate_attributes. The first variant also needs the
+ * product's own stock at 0 (409 product_has_stock: move it to the variants)
+ * and no open orders for the product (409 referenced_by_open_orders), as
+ * neither could reach the variants. Honors Idempotency-Key.
+ *
+ * Access: admin
+ */
+router.post(
+  '/:id/variants',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    params: idParams,
+    body: {
+      sku: { type: 'string', maxLength: 64, pattern: variantService.SKU_PATTERN, required: true },
+      attributes: { ...attributesRule, required: true },
+      price: { type: 'number', min: 0, nullable: true },
+      stock: { type: 'integer', min: 0, default: 0 }
+    }
+  }),
+  idempotent(),
+  (req, res) => {
+    const product = findActiveProduct(req.params.id);
+    const { sku, attributes, price = null, stock } = req.body;
+
+    checkFirstVariant(product);
+    checkVariantUnique(product, { sku, attributes });
+
+    const variant = variants.insert({
+      productId: product.id,
+      sku,
+      price,
+      stock,
+      attributes,
+      createdAt: new Date().toISOString()
+    });
+    events.publish(req, 'product.updated', variantService.withVariants(product));
+
+    setETag(res, variant).status(201).json(variant);
+  }
+);
+
+/**
+ * PATCH /products/:id/variants/:variantId
+ * Change a variant (partial update)
+ *
+ * Body (all optional): sku, attributes, price (null: the product's price),
+ * stock. 409 sku_taken or duplicate_attributes. Honors If-Match.
+ *
+ * Access: admin
+ */
+router.patch(
+  '/:id/variants/:variantId',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    params: variantParams,
+    headers: ifMatchHeader,
+    body: {
+      sku: { type: 'string', maxLength: 64, pattern: variantService.SKU_PATTERN },
+      attributes: attributesRule,
+      price: { type: 'number', min: 0, nullable: true },
+      stock: { type: 'integer', min: 0 }
+    }
+  }),
+  (req, res) => {
+    const product = findActiveProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+
+    checkIfMatch(req, variant);
+    checkVariantUnique(product, req.body, variant.id);
+
+    const updated = variants.update(variant.id, { ...req.body, updatedAt: new Date().toISOString() });
+    events.publish(req, 'product.updated', variantService.withVariants(product));
+
+    setETag(res, updated).json(updated);
+  }
+);
+
+/**
+ * PATCH /products/:id/variants/:variantId/stock
+ * Update variant stock (increment or decrement)
+ *
+ * Body:
+ *   - amount: number (positive to add, negative to subtract)
+ *
+ * Honors If-Match (the variant's ETag).
+ *
+ * Access: admin
+ */
+router.patch(
+  '/:id/variants/:variantId/stock',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    params: variantParams,
+    headers: ifMatchHeader,
+    body: {
+      amount: { type: 'integer', required: true }
+    }
+  }),
+  (req, res) => {
+    const product = findActiveProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+
+    checkIfMatch(req, variant);
+
+    const { amount } = req.body;
+    const newStock = variant.stock + amount;
+
+    if (newStock < 0) {
+      throw new Conflict('Insufficient stock', {
+        code: 'insufficient_stock',
+        current: variant.stock,
+        requested: amount
+      });
+    }
+
+    const updated = variants.update(variant.id, {
+      stock: newStock,
+      updatedAt: new Date().toISOString()
+    });
+    events.publish(req, 'product.updated', variantService.withVariants(product));
+
+    setETag(res, updated).json({
+      id: updated.id,
+      productId: updated.productId,
+      sku: updated.sku,
+      stock: updated.stock,
+      change: amount
+    });
+  }
+);
+
+/**
+ * DELETE /products/:id/variants/:variantId
+ * Remove a variant
+ *
+ * Variants in open orders cannot be removed (409 referenced_by_open_orders),
+ * so cancelling those orders can still return their stock. Past orders keep
+ * the variant's SKU and attributes on their line items. Honors If-Match.
+ *
+ * Access: admin
+ */
+router.delete(
+  '/:id/variants/:variantId',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ params: variantParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const product = findActiveProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+
+    checkIfMatch(req, variant);
+
+    const orderIds = openOrderIdsForVariant(variant.id);
+    if (orderIds.length > 0) {
+      throw new Conflict('Variant is referenced by open orders', {
+        code: 'referenced_by_open_orders',
+        orderIds
+      });
+    }
+
+    variants.remove(variant.id);
+    events.publish(req, 'product.updated', variantService.withVariants(product));
+
+    res.status(204).send();
+  }
+);
+
 module.exports = router;
@@ -1,100 +1,216 @@
 const express = require('express');
-const { validateRequest } = require('../middleware/validator');
+const { validateRequest, idParams } = require('../middleware/validator');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { authorize, restrictFields } = require('../middleware/authorize');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const { requestContext } = require('../middleware/requestContext');
+const { rateLimit } = require('../middleware/rateLimit');
+const store = require('../store');
+const { isActive, openOrderIdsForUser, deleteReferenced } = require('../services/integrity');
+const { hashPassword, toPublicUser } = require('../services/auth');
+const { createListQuery } = require('../services/listQuery');
+const bulk = require('../services/bulk');
+const events = require('../services/events');
+const trash = require('../services/trash');
+const { NotFound, Conflict } = require('../errors');
 const router = express.Router();
 
-// In-memory data store
-let users = [
-  { id: 1, username: 'alice', email: 'alice@example.com', role: 'admin', createdAt: '2024-01-01T00:00:00.000Z' },
-  { id: 2, username: 'bob', email: 'bob@example.com', role: 'user', createdAt: '2024-01-02T00:00:00.000Z' }
-];
+// Shared data store (see store/index.js for drivers)
+const users = store.repository('users');
+
+const userList = createListQuery({
+  filterable: {
+    username: 'string',
+    email: 'string',
+    role: { type: 'string', enum: ['user', 'admin'] },
+    createdAt: 'date',
+    deletedAt: 'date'
+  },
+  sortable: ['username', 'email', 'role', 'createdAt'],
+  defaultSort: 'username',
+  fields: ['id', 'username', 'email', 'role', 'createdAt', 'updatedAt', 'deletedAt', 'version'],
+  map: toPublicUser
+});
+
+// New users, from POST /users or a row of POST /users/import
+const userSchema = {
+  username: { type: 'string', minLength: 3, required: true },
+  email: { type: 'email', required: true },
+  password: { type: 'string', minLength: 8, required: true },
+  role: { type: 'string', enum: ['user', 'admin'], default: 'user' }
+};
+
+// Admins, or the user whose ID is in the URL
+const adminOrSelf = authorize({ roles: ['admin'], owner: req => parseInt(req.params.id) });
 
 /**
  * GET /users
  * Get all users with optional filtering
  *
+ * Access: admin
+ *
  * Query params:
- *   - role: filter by role (admin, user)
  *   - search: search by username or email
+ *   - includeDeleted: also list deleted users
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[role][eq]=admin&filter[createdAt][gte]=2024-01-01
+ *     (sortable: username, email, role, createdAt)
  */
-router.get('/', (req, res) => {
-  const { role, search } = req.query;
-  let result = [...users];
+router.get(
+  '/',
+  authorize({ roles: ['admin'] }),
+  validateRequest({
+    query: {
+      ...userList.query,
+      ...trash.includeDeletedParam,
+      search: { type: 'string' }
+    }
+  }),
+  (req, res) => {
+    const { search } = req.query;
+    let result = users.find(trash.visibleTo(req));
 
-  // Filter by role
-  if (role) {
-    result = result.filter(u => u.role === role);
-  }
+    // Search by username or email
+    if (search) {
+      const searchLower = search.toLowerCase();
+      result = result.filter(u =>
+        u.username.toLowerCase().includes(searchLower) ||
+        u.email.toLowerCase().includes(searchLower)
+      );
+    }
 
-  // Search by username or email
-  if (search) {
-    const searchLower = search.toLowerCase();
-    result = result.filter(u =>
-      u.username.toLowerCase().includes(searchLower) ||
-      u.email.toLowerCase().includes(searchLower)
-    );
+    res.json(userList.respond(req, result));
   }
-
-  res.json({
-    count: result.length,
-    users: result
-  });
-});
+);
 
 /**
  * GET /users/:id
  * Get a single user by ID
+ *
+ * Query params:
+ *   - includeDeleted: also find a deleted user (admins only)
+ *
+ * Access: admin, or the user themselves
  */
-router.get('/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const user = users.find(u => u.id === id);
+router.get('/:id', adminOrSelf, validateRequest({ params: idParams, query: trash.includeDeletedParam }), (req, res) => {
+  const { id } = req.params;
+  const user = users.findById(id);
 
-  if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+  if (!user || !trash.visibleTo(req)(user)) {
+    throw new NotFound('User not found');
   }
 
-  res.json(user);
+  setETag(res, user).json(toPublicUser(user));
 });
 
 /**
  * POST /users
- * Create a new user
+ * Create a new user (registration)
  *
  * Body:
  *   - username: string (required, min 3 chars)
  *   - email: string (required, valid email)
- *   - role: string (optional, default: 'user')
+ *   - password: string (required, min 8 chars, stored hashed)
+ *   - role: string (optional, default: 'user', only admins may set it)
+ *
+ * Honors Idempotency-Key. Rate limited to 20 per hour per caller (user,
+ * or IP address for anonymous sign-ups).
+ *
+ * Access: public
  */
 router.post(
   '/',
-  validateRequest({
-    username: { type: 'string', minLength: 3, required: true },
-    email: { type: 'email', required: true },
-    role: { type: 'string', enum: ['user', 'admin'], default: 'user' }
-  }),
-  (req, res) => {
-    const { username, email, role = 'user' } = req.body;
+  rateLimit({ name: 'users:create', limit: 20, windowMs: 60 * 60 * 1000, algorithm: 'sliding-window', keyBy: 'user' }),
+  restrictFields({ role: ['admin'] }),
+  validateRequest(userSchema),
+  idempotent(),
+  asyncHandler(async (req, res) => {
+    const { username, email, password, role = 'user' } = req.body;
+
+    // Hash before the uniqueness checks so nothing can slip in between
+    // the checks and the insert
+    const passwordHash = await hashPassword(password);
 
     // Check if username already exists
-    if (users.find(u => u.username === username)) {
-      return res.status(409).json({ error: 'Username already exists' });
+    if (users.findOne(u => u.username === username)) {
+      throw new Conflict('Username already exists', { code: 'username_taken' });
     }
 
     // Check if email already exists
-    if (users.find(u => u.email === email)) {
-      return res.status(409).json({ error: 'Email already exists' });
+    if (users.findOne(u => u.email === email)) {
+      throw new Conflict('Email already exists', { code: 'email_taken' });
     }
 
-    const newUser = {
-      id: Math.max(...users.map(u => u.id), 0) + 1,
+    const newUser = users.insert({
       username,
       email,
+      passwordHash,
       role,
       createdAt: new Date().toISOString()
-    };
+    });
+    events.publish(req, 'user.created', toPublicUser(newUser));
 
-    users.push(newUser);
-    res.status(201).json(newUser);
-  }
+    setETag(res, newUser).status(201).json(toPublicUser(newUser));
+  })
+);
+
+/**
+ * POST /users/import
+ * Create many users from a CSV or NDJSON file
+ *
+ * Send the file as the body with Content-Type text/csv or
+ * application/x-ndjson. Columns (keys) are the POST /users fields:
+ * username, email, password, role. Rows are validated like POST /users,
+ * and usernames and emails must be unique across the store and the file.
+ * See services/bulk.js for the report format.
+ *
+ * Query params:
+ *   - dryRun: validate only (true/false)
+ *   - onError: abort (default, all or nothing) or skip (import valid rows)
+ *
+ * Access: admin
+ */
+router.post(
+  '/import',
+  authorize({ roles: ['admin'] }),
+  express.text({ type: bulk.IMPORT_TYPES, limit: bulk.IMPORT_LIMIT }),
+  requestContext,
+  validateRequest({ query: bulk.importQuery }),
+  asyncHandler(async (req, res) => {
+    const report = await bulk.importRows(req, {
+      schema: userSchema,
+      prepare: async ({ password, ...row }) => ({ ...row, passwordHash: await hashPassword(password) }),
+      check: (row, accepted) => {
+        const errors = [];
+        const taken = field => users.findOne(u => u[field] === row[field]) ||
+          accepted.some(other => other[field] === row[field]);
+
+        if (taken('username')) {
+          errors.push({ path: 'row.username', code: 'username_taken', message: 'Username already exists' });
+        }
+        if (taken('email')) {
+          errors.push({ path: 'row.email', code: 'email_taken', message: 'Email already exists' });
+        }
+        return errors;
+      },
+      create: ({ username, email, passwordHash, role }) => users.insert({
+        username,
+        email,
+        passwordHash,
+        role,
+        createdAt: new Date().toISOString()
+      })
+    });
+
+    for (const row of report.rows) {
+      if (row.status === 'created') {
+        events.publish(req, 'user.created', toPublicUser(users.findById(row.id)));
+      }
+    }
+
+    res.status(report.created > 0 ? 201 : 200).json(report);
+  })
 );
 
 /**
@@ -104,63 +220,151 @@ router.post(
  * Body:
  *   - username: string (optional)
  *   - email: string (optional)
- *   - role: string (optional)
+ *   - password: string (optional, min 8 chars)
+ *   - role: string (optional, only admins may set it)
+ *
+ * Honors If-Match.
+ *
+ * Access: admin, or the user themselves
  */
 router.patch(
   '/:id',
+  adminOrSelf,
+  restrictFields({ role: ['admin'] }),
   validateRequest({
-    username: { type: 'string', minLength: 3 },
-    email: { type: 'email' },
-    role: { type: 'string', enum: ['user', 'admin'] }
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      username: { type: 'string', minLength: 3 },
+      email: { type: 'email' },
+      password: { type: 'string', minLength: 8 },
+      role: { type: 'string', enum: ['user', 'admin'] }
+    }
   }),
-  (req, res) => {
-    const id = parseInt(req.params.id);
-    const user = users.find(u => u.id === id);
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const passwordHash = req.body.password !== undefined
+      ? await hashPassword(req.body.password)
+      : undefined;
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const user = users.findById(id);
+
+    if (!isActive(user)) {
+      throw new NotFound('User not found');
     }
 
+    checkIfMatch(req, user);
+
     // Update only provided fields
+    const changes = {};
+
     if (req.body.username !== undefined) {
       // Check if new username is taken by another user
-      if (users.find(u => u.username === req.body.username && u.id !== id)) {
-        return res.status(409).json({ error: 'Username already exists' });
+      if (users.findOne(u => u.username === req.body.username && u.id !== id)) {
+        throw new Conflict('Username already exists', { code: 'username_taken' });
       }
-      user.username = req.body.username;
+      changes.username = req.body.username;
     }
 
     if (req.body.email !== undefined) {
       // Check if new email is taken by another user
-      if (users.find(u => u.email === req.body.email && u.id !== id)) {
-        return res.status(409).json({ error: 'Email already exists' });
+      if (users.findOne(u => u.email === req.body.email && u.id !== id)) {
+        throw new Conflict('Email already exists', { code: 'email_taken' });
       }
-      user.email = req.body.email;
+      changes.email = req.body.email;
+    }
+
+    if (passwordHash !== undefined) {
+      changes.passwordHash = passwordHash;
     }
 
     if (req.body.role !== undefined) {
-      user.role = req.body.role;
+      changes.role = req.body.role;
     }
 
-    user.updatedAt = new Date().toISOString();
-    res.json(user);
-  }
+    changes.updatedAt = new Date().toISOString();
+    const updated = users.update(id, changes);
+    events.publish(req, 'user.updated', toPublicUser(updated));
+
+    setETag(res, updated).json(toPublicUser(updated));
+  })
 );
 
 /**
  * DELETE /users/:id
- * Delete a user
+ * Delete a user (to the trash, see services/trash.js)
+ *
+ * Users with open orders are protected by USER_DELETE_POLICY
+ * (see services/integrity.js): either 409 naming the orders, or delete
+ * anyway. Deleted users cannot log in. Honors If-Match.
+ *
+ * Access: admin
  */
-router.delete('/:id', (req, res) => {
-  const id = parseInt(req.params.id);
-  const userIndex = users.findIndex(u => u.id === id);
+router.delete(
+  '/:id',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ params: idParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const { id } = req.params;
+    const user = users.findById(id);
+
+    if (!isActive(user)) {
+      throw new NotFound('User not found');
+    }
+
+    checkIfMatch(req, user);
+
+    const { outcome, orderIds } = deleteReferenced(users, id, openOrderIdsForUser(id));
+
+    if (outcome === 'blocked') {
+      throw new Conflict('User is referenced by open orders', {
+        code: 'referenced_by_open_orders',
+        orderIds
+      });
+    }
+
+    events.publish(req, 'user.deleted', toPublicUser(users.findById(id)));
 
-  if (userIndex === -1) {
-    return res.status(404).json({ error: 'User not found' });
+    if (outcome === 'soft-deleted') {
+      return res.json({
+        message: 'User soft-deleted (referenced by open orders)',
+        orderIds,
+        user: toPublicUser(users.findById(id))
+      });
+    }
+
+    res.status(204).send();
   }
+);
 
-  users.splice(userIndex, 1);
-  res.status(204).send();
-});
+/**
+ * POST /users/:id/restore
+ * Bring a deleted user back from the trash
+ *
+ * Usernames and emails of deleted users stay taken, so a restore never
+ * clashes with a newer account. 409 not_deleted if the user is not
+ * deleted. Honors If-Match.
+ *
+ * Access: admin
+ */
+router.post(
+  '/:id/restore',
+  authorize({ roles: ['admin'] }),
+  validateRequest({ params: idParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const user = users.findById(req.params.id);
+
+    if (!user) {
+      throw new NotFound('User not found');
+    }
+
+    checkIfMatch(req, user);
+
+    const restored = trash.restore(users, user);
+    events.publish(req, 'user.restored', toPublicUser(restored));
+
+    setETag(res, restored).json(toPublicUser(restored));
+  }
+);
 
 module.exports = router;
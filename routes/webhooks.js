@@ -0,0 +1,275 @@
+const express = require('express');
+const { validateRequest, idParams } = require('../middleware/validator');
+const { authorize } = require('../middleware/authorize');
+const { ifMatchHeader, setETag, checkIfMatch } = require('../middleware/conditional');
+const { idempotent } = require('../middleware/idempotency');
+const store = require('../store');
+const { createListQuery } = require('../services/listQuery');
+const webhookService = require('../services/webhooks');
+const { NotFound } = require('../errors');
+const router = express.Router();
+
+// Shared data store (see store/index.js for drivers)
+const webhooks = store.repository('webhooks');
+const deliveries = store.repository('webhookDeliveries');
+
+const webhookList = createListQuery({
+  filterable: {
+    url: 'string',
+    active: 'boolean',
+    createdAt: 'date'
+  },
+  sortable: ['createdAt', 'url'],
+  defaultSort: 'createdAt',
+  fields: ['id', 'url', 'events', 'description', 'active', 'createdAt', 'updatedAt', 'version'],
+  map: webhookService.toPublicWebhook
+});
+
+const deliveryList = createListQuery({
+  filterable: {
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    eventType: 'string',
+    createdAt: 'date'
+  },
+  sortable: ['createdAt'],
+  defaultSort: '-createdAt',
+  fields: ['id', 'webhookId', 'eventType', 'payload', 'status', 'attempts', 'nextAttemptAt',
+    'redeliveryOf', 'createdAt', 'updatedAt']
+});
+
+const admin = authorize({ roles: ['admin'] });
+
+const deliveryParams = {
+  ...idParams,
+  deliveryId: { type: 'integer', min: 1, required: true }
+};
+
+const urlRule = {
+  type: 'string',
+  validate: value => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol) || 'URL must use http or https';
+    } catch (err) {
+      return 'Must be an absolute URL';
+    }
+  }
+};
+
+const eventsRule = {
+  type: 'array',
+  minLength: 1,
+  items: { type: 'string', enum: webhookService.EVENT_NAMES }
+};
+
+function findWebhook(id) {
+  const webhook = webhooks.findById(id);
+  if (!webhook) {
+    throw new NotFound('Webhook not found');
+  }
+  return webhook;
+}
+
+function findDelivery(webhookId, deliveryId) {
+  const delivery = deliveries.findById(deliveryId);
+  if (!delivery || delivery.webhookId !== webhookId) {
+    throw new NotFound('Delivery not found');
+  }
+  return delivery;
+}
+
+/**
+ * GET /webhooks
+ * List webhook subscriptions (without their secrets)
+ *
+ * Query params:
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[active][eq]=true (sortable: createdAt, url)
+ *
+ * Access: admin
+ */
+router.get('/', admin, validateRequest({ query: webhookList.query }), (req, res) => {
+  res.json(webhookList.respond(req, webhooks.find()));
+});
+
+/**
+ * GET /webhooks/:id
+ * Get a webhook subscription (without its secret)
+ *
+ * Access: admin
+ */
+router.get('/:id', admin, validateRequest({ params: idParams }), (req, res) => {
+  const webhook = findWebhook(req.params.id);
+  setETag(res, webhook).json(webhookService.toPublicWebhook(webhook));
+});
+
+/**
+ * POST /webhooks
+ * Subscribe a URL to order events
+ *
+ * The response is the only time the signing secret is shown; see
+ * services/webhooks.js for how requests are signed and retried.
+ *
+ * Body:
+ *   - url: string (required, http or https)
+ *   - events: array (required), e.g. ["order.processing", "order.cancelled"]
+ *     (order.created, or order.<status> for any order status)
+ *   - description: string (optional)
+ *   - active: boolean (optional, default: true)
+ *   - secret: string (optional, min 16 chars; generated if missing)
+ *
+ * Honors Idempotency-Key.
+ *
+ * Access: admin
+ */
+router.post(
+  '/',
+  admin,
+  validateRequest({
+    url: { ...urlRule, required: true },
+    events: { ...eventsRule, required: true },
+    description: { type: 'string', maxLength: 500 },
+    active: { type: 'boolean', default: true },
+    secret: { type: 'string', minLength: 16, maxLength: 200 }
+  }),
+  idempotent(),
+  (req, res) => {
+    const { url, events, description, active, secret } = req.body;
+
+    const webhook = webhooks.insert({
+      url,
+      events: [...new Set(events)],
+      description: description || null,
+      active,
+      secret: secret || webhookService.generateSecret(),
+      createdAt: new Date().toISOString()
+    });
+
+    setETag(res, webhook).status(201).json(webhook);
+  }
+);
+
+/**
+ * PATCH /webhooks/:id
+ * Change a subscription (partial update)
+ *
+ * Body (all optional): url, events, description, active
+ * Deliveries already queued keep their payload. Honors If-Match.
+ *
+ * Access: admin
+ */
+router.patch(
+  '/:id',
+  admin,
+  validateRequest({
+    params: idParams,
+    headers: ifMatchHeader,
+    body: {
+      url: urlRule,
+      events: eventsRule,
+      description: { type: 'string', maxLength: 500, nullable: true },
+      active: { type: 'boolean' }
+    }
+  }),
+  (req, res) => {
+    const webhook = findWebhook(req.params.id);
+    checkIfMatch(req, webhook);
+
+    const changes = { ...req.body, updatedAt: new Date().toISOString() };
+    if (changes.events) {
+      changes.events = [...new Set(changes.events)];
+    }
+
+    const updated = webhooks.update(webhook.id, changes);
+    setETag(res, updated).json(webhookService.toPublicWebhook(updated));
+  }
+);
+
+/**
+ * DELETE /webhooks/:id
+ * Unsubscribe; pending retries are dropped along with the delivery log
+ *
+ * Honors If-Match.
+ *
+ * Access: admin
+ */
+router.delete(
+  '/:id',
+  admin,
+  validateRequest({ params: idParams, headers: ifMatchHeader }),
+  (req, res) => {
+    const webhook = findWebhook(req.params.id);
+    checkIfMatch(req, webhook);
+
+    webhookService.removeWebhook(webhook.id);
+    res.status(204).send();
+  }
+);
+
+/**
+ * POST /webhooks/:id/ping
+ * Send a webhook.ping event now, whatever the subscription's event filter
+ *
+ * Response: 202 with the delivery (follow it at /webhooks/:id/deliveries/:deliveryId)
+ *
+ * Access: admin
+ */
+router.post('/:id/ping', admin, validateRequest({ params: idParams }), (req, res) => {
+  const webhook = findWebhook(req.params.id);
+  res.status(202).json(webhookService.ping(webhook));
+});
+
+/**
+ * GET /webhooks/:id/deliveries
+ * Delivery log of a subscription, newest first, with every attempt
+ *
+ * Query params:
+ *   - filter, sort, limit, cursor, fields: see services/listQuery.js
+ *     e.g. filter[status][eq]=failed&filter[eventType][eq]=order.cancelled
+ *
+ * Access: admin
+ */
+router.get(
+  '/:id/deliveries',
+  admin,
+  validateRequest({ params: idParams, query: deliveryList.query }),
+  (req, res) => {
+    const webhook = findWebhook(req.params.id);
+    res.json(deliveryList.respond(req, deliveries.find(d => d.webhookId === webhook.id)));
+  }
+);
+
+/**
+ * GET /webhooks/:id/deliveries/:deliveryId
+ * One delivery with its payload and attempts
+ *
+ * Access: admin
+ */
+router.get('/:id/deliveries/:deliveryId', admin, validateRequest({ params: deliveryParams }), (req, res) => {
+  findWebhook(req.params.id);
+  res.json(findDelivery(req.params.id, req.params.deliveryId));
+});
+
+/**
+ * POST /webhooks/:id/deliveries/:deliveryId/redeliver
+ * Send a delivery's payload again (e.g. after fixing the receiver)
+ *
+ * Creates a new delivery with redeliveryOf set, sent right away and retried
+ * like any other. The payload (and its id) is unchanged.
+ *
+ * Response: 202 with the new delivery
+ *
+ * Access: admin
+ */
+router.post(
+  '/:id/deliveries/:deliveryId/redeliver',
+  admin,
+  validateRequest({ params: deliveryParams }),
+  (req, res) => {
+    findWebhook(req.params.id);
+    const delivery = findDelivery(req.params.id, req.params.deliveryId);
+
+    res.status(202).json(webhookService.redeliver(delivery));
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const http = require('http');
+
+/**
+ * Local webhook receiver
+ * A stand-in for the service on the other end of a webhook, for trying out
+ * deliveries, signatures and retries without deploying anything.
+ *
+ *   npm run webhook-receiver
+ *   curl -X POST http://localhost:3000/webhooks -H "Authorization: Bearer $TOKEN" \
+ *     -H 'Content-Type: application/json' \
+ *     -d '{"url": "http://localhost:4000/hooks", "events": ["order.cancelled"]}'
+ *
+ * Every request is printed with its payload and whether its signature is
+ * valid, and answered 200 (or 401 for a bad signature).
+ *
+ * Configuration:
+ *   RECEIVER_PORT    default 4000
+ *   WEBHOOK_SECRET   secret from POST /webhooks; without it signatures are
+ *                    printed but not checked
+ *   FAIL_FIRST       answer the first N requests with FAIL_STATUS, to watch
+ *                    the retries (default 0)
+ *   FAIL_STATUS      default 500
+ */
+
+const PORT = parseInt(process.env.RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_FIRST = parseInt(process.env.FAIL_FIRST) || 0;
+const FAIL_STATUS = parseInt(process.env.FAIL_STATUS) || 500;
+
+// Reject signatures older than this, so a captured request cannot be replayed later
+const TOLERANCE_SECONDS = 5 * 60;
+
+let received = 0;
+
+/**
+ * Check "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>"
+ */
+function verify(header, body) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    return 'missing signature';
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp too old';
+  }
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest();
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? 'valid' : 'invalid';
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = SECRET ? verify(req.headers['webhook-signature'], body) : 'not checked';
+    received++;
+
+    let payload = body;
+    try {
+      payload = JSON.parse(body);
+    } catch (err) {
+      // print it as it came
+    }
+
+    const status = received <= FAIL_FIRST ? FAIL_STATUS : SECRET && signature !== 'valid' ? 401 : 200;
+
+    console.log(JSON.stringify({
+      received,
+      method: req.method,
+      path: req.url,
+      deliveryId: req.headers['webhook-id'],
+      event: req.headers['webhook-event'],
+      signature,
+      answered: status,
+      payload
+    }, null, 2));
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status === 200 }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}`);
+});
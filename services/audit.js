@@ -0,0 +1,128 @@
+const store = require('../store');
+const { currentRequest } = require('../middleware/requestContext');
+const log = require('./log');
+
+/**
+ * Audit log
+ * Records every write to users, products, product variants, orders and
+ * items, wherever it comes from (a route, an order reserving stock, a state
+ * machine hook), by listening to the store (store.onWrite).
+ *
+ * Entry:
+ *   {
+ *     id, at,
+ *     resource: 'products', resourceId: 3,
+ *     action: 'create' | 'update' | 'delete' | 'restore' | 'purge',
+ *     actorId: 1, actor: { id, username, role } | null (no logged-in user),
+ *     requestId: '...' | null (outside a request),
+ *     changes: { price: { from: 10, to: 12 }, ... }
+ *   }
+ *
+ * Creates list every field with from: null. Setting deletedAt is a 'delete'
+ * and clearing it a 'restore'; removing a record from the trash for good is
+ * a 'purge' (every field with to: null).
+ * version and updatedAt are left out of the diff, and sensitive fields
+ * (password hashes) show as '[REDACTED]'.
+ *
+ * Entries are written once the change has committed (store.afterCommit),
+ * so rolled-back writes leave no trace. Nothing in the API updates or
+ * deletes entries; the purge removes them once they are older than
+ * AUDIT_RETENTION_DAYS (default 90), every AUDIT_PURGE_INTERVAL_MS
+ * (default 1 hour), so the log does not grow without bound.
+ */
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 90;
+const PURGE_INTERVAL_MS = parseInt(process.env.AUDIT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const AUDITED = ['users', 'products', 'productVariants', 'orders', 'items'];
+const ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['id', 'version', 'updatedAt'];
+
+const entries = store.repository('auditLog');
+
+const isSet = value => value !== undefined && value !== null;
+
+function actionOf(before, after) {
+  if (!before) return 'create';
+  if (!after) return before.deletedAt ? 'purge' : 'delete';
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+}
+
+/**
+ * Field-level diff: { field: { from, to } } for every field that changed
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    const from = before && isSet(before[field]) ? before[field] : null;
+    const to = after && isSet(after[field]) ? after[field] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return log.redact(changes);
+}
+
+store.onWrite(({ repository, id, before, after }) => {
+  if (!AUDITED.includes(repository)) {
+    return;
+  }
+
+  const changes = diff(before, after);
+  if (Object.keys(changes).length === 0) {
+    return;
+  }
+
+  const req = currentRequest();
+  const user = req && req.user;
+  const entry = {
+    at: new Date().toISOString(),
+    resource: repository,
+    resourceId: id,
+    action: actionOf(before, after),
+    actorId: user ? user.id : null,
+    actor: user ? { id: user.id, username: user.username, role: user.role } : null,
+    requestId: req ? req.id : null,
+    changes
+  };
+
+  store.afterCommit(() => entries.insert(entry));
+});
+
+/**
+ * Remove entries older than the retention period. Returns how many.
+ */
+function purgeExpired(now = Date.now()) {
+  const cutoff = new Date(now - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = entries.find(entry => entry.at <= cutoff);
+
+  for (const entry of expired) {
+    entries.remove(entry.id);
+  }
+
+  if (expired.length > 0) {
+    log.info('Audit log purged', { retentionDays: RETENTION_DAYS, entries: expired.length });
+  }
+  return expired.length;
+}
+
+// unref: the schedule must not keep the process alive
+setInterval(() => {
+  try {
+    purgeExpired();
+  } catch (err) {
+    log.error('Audit log purge failed', { error: err.message });
+  }
+}, PURGE_INTERVAL_MS).unref();
+
+module.exports = { RETENTION_DAYS, AUDITED, ACTIONS, diff, purgeExpired };
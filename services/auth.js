@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const store = require('../store');
+const { isActive } = require('./integrity');
+
+/**
+ * Authentication service
+ * Password hashing, signed tokens and sessions, using only Node's crypto.
+ *
+ * Passwords are hashed with scrypt and a random salt, stored as
+ * "scrypt$<salt>$<hash>" (base64).
+ *
+ * Logging in opens a session and returns two tokens:
+ *   - access token: short-lived, sent as "Authorization: Bearer <token>"
+ *   - refresh token: long-lived, exchanged at POST /auth/refresh for a new
+ *     pair. Each refresh token works once (rotation).
+ *
+ * Tokens are JWTs signed with HMAC-SHA256. Both carry the session ID, so
+ * revoking the session (logout) invalidates them before they expire.
+ * Revoked and expired sessions are purged on the next login.
+ *
+ * Unknown usernames are checked against a dummy hash, so a failed login
+ * takes as long whether or not the user exists.
+ *
+ * Browsers' EventSource cannot send an Authorization header, so GET /events
+ * also takes an events token in the URL: a third kind, issued to a logged-in
+ * caller, good for nothing else and only for EVENTS_TOKEN_TTL.
+ *
+ * Configuration:
+ *   AUTH_SECRET        signing key (random per process if unset, so tokens
+ *                      do not survive a restart)
+ *   ACCESS_TOKEN_TTL   seconds, default 900 (15 minutes)
+ *   REFRESH_TOKEN_TTL  seconds, default 604800 (7 days)
+ *   EVENTS_TOKEN_TTL   seconds, default 60
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const EVENTS_TOKEN_TTL = parseInt(process.env.EVENTS_TOKEN_TTL) || 60;
+
+const users = store.repository('users');
+const sessions = store.repository('sessions');
+
+// --- Passwords ---
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof stored !== 'string') {
+    return false;
+  }
+
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against for unknown usernames; its password is never known
+const DUMMY_HASH = hashPassword(crypto.randomBytes(32).toString('hex'));
+
+// --- Tokens ---
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+function sign(payload) {
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+// Returns the payload if the signature is valid and the token has not expired
+function verify(token, type) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${header}.${body}`).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+
+  if (payload.type !== type || payload.exp <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return payload;
+}
+
+// --- Sessions ---
+
+/**
+ * Strip credentials from a user record before it leaves the server
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+// Issue a fresh access/refresh pair for a session, rotating its refresh token
+function issueTokens(user, session) {
+  const now = Math.floor(Date.now() / 1000);
+  const refreshId = crypto.randomUUID();
+
+  sessions.update(session.id, {
+    refreshId,
+    expiresAt: new Date((now + REFRESH_TOKEN_TTL) * 1000).toISOString()
+  });
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: sign({ type: 'access', sub: user.id, sid: session.id, iat: now, exp: now + ACCESS_TOKEN_TTL }),
+    refreshToken: sign({ type: 'refresh', sub: user.id, sid: session.id, jti: refreshId, iat: now, exp: now + REFRESH_TOKEN_TTL }),
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: toPublicUser(user)
+  };
+}
+
+// Drop sessions whose tokens can no longer be used
+function purgeSessions() {
+  const now = new Date().toISOString();
+  for (const session of sessions.find(s => s.revokedAt || s.expiresAt <= now)) {
+    sessions.remove(session.id);
+  }
+}
+
+/**
+ * Check a username and password, open a session and issue tokens
+ * Returns null if the credentials are wrong
+ */
+async function login(username, password) {
+  purgeSessions();
+
+  const user = users.findOne(u => u.username === username && isActive(u));
+  const valid = await verifyPassword(password, user ? user.passwordHash : await DUMMY_HASH);
+  if (!user || !valid) {
+    return null;
+  }
+
+  const session = sessions.insert({
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  });
+
+  return issueTokens(user, session);
+}
+
+// Look up a session and its user, ignoring revoked sessions and deleted users
+function activeSession(payload) {
+  const session = sessions.findById(payload.sid);
+  if (!session || session.revokedAt || session.userId !== payload.sub) {
+    return null;
+  }
+
+  const user = users.findById(session.userId);
+  if (!isActive(user)) {
+    return null;
+  }
+
+  return { session, user };
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Returns null if the token is invalid, expired, revoked or already used
+ */
+function refresh(refreshToken) {
+  const payload = verify(refreshToken, 'refresh');
+  const active = payload && activeSession(payload);
+
+  if (!active || active.session.refreshId !== payload.jti) {
+    return null;
+  }
+
+  return issueTokens(active.user, active.session);
+}
+
+/**
+ * Issue a short-lived events token (GET /events?token=) for the caller's session
+ */
+function issueEventsToken(user, sessionId) {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    token: sign({ type: 'events', sub: user.id, sid: sessionId, iat: now, exp: now + EVENTS_TOKEN_TTL }),
+    expiresIn: EVENTS_TOKEN_TTL
+  };
+}
+
+/**
+ * Resolve an access token (or a token of the given type) to
+ * { user, sessionId }, or null if it is not valid
+ */
+function authenticateToken(accessToken, type = 'access') {
+  const payload = verify(accessToken, type);
+  const active = payload && activeSession(payload);
+
+  if (!active) {
+    return null;
+  }
+
+  return { user: toPublicUser(active.user), sessionId: active.session.id };
+}
+
+/**
+ * Revoke a session, invalidating its access and refresh tokens
+ */
+function revokeSession(sessionId) {
+  sessions.update(sessionId, { revokedAt: new Date().toISOString() });
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  toPublicUser,
+  login,
+  refresh,
+  authenticateToken,
+  issueEventsToken,
+  revokeSession
+};
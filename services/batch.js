@@ -0,0 +1,181 @@
+const http = require('http');
+const store = require('../store');
+
+/**
+ * Batch execution
+ * Runs sub-requests through the Express app in-process, so they pass the
+ * same middleware (logging, authentication, validation, authorization)
+ * and routers as real requests, without another network round trip.
+ *
+ * Sub-requests run one after the other, in order. They inherit the batch
+ * request's Authorization header unless they set their own, and get the
+ * request ID "<batch request ID>.<index>" for log correlation.
+ *
+ * In transactional mode the operations run inside store.transactionAsync():
+ * the first one that answers 4xx/5xx stops the batch and every write made
+ * by the earlier ones is undone. The batch holds the store's write lock
+ * alone meanwhile (store.exclusive), so other writing requests wait for it
+ * (middleware/writeLock.js) and the rollback cannot undo their writes.
+ */
+
+const MAX_OPERATIONS = parseInt(process.env.BATCH_MAX_OPERATIONS) || 20;
+
+// Response headers worth passing back per operation
+const RESULT_HEADERS = ['content-type', 'etag', 'location', 'idempotent-replayed'];
+
+/**
+ * A ServerResponse that collects what the app writes instead of sending it
+ * over a socket. write/end are own properties because Express swaps the
+ * prototype of every response it handles.
+ */
+function createCapturedResponse(req, onFinish) {
+  const res = new http.ServerResponse(req);
+  const chunks = [];
+
+  const callbackOf = args => args.find(arg => typeof arg === 'function');
+
+  res.write = function(chunk, encoding, callback) {
+    if (!this._header) {
+      this.writeHead(this.statusCode);
+    }
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+    const done = callbackOf([encoding, callback]);
+    if (done) {
+      process.nextTick(done);
+    }
+    return true;
+  };
+
+  res.end = function(chunk, encoding, callback) {
+    if (this.finished) {
+      return this;
+    }
+    if (chunk && typeof chunk !== 'function') {
+      this.write(chunk, encoding);
+    } else if (!this._header) {
+      this.writeHead(this.statusCode);
+    }
+
+    this.finished = true;
+    this.emit('finish');
+    onFinish(this, Buffer.concat(chunks).toString('utf8'));
+
+    const done = callbackOf([chunk, encoding, callback]);
+    if (done) {
+      process.nextTick(done);
+    }
+    return this;
+  };
+
+  return res;
+}
+
+/**
+ * Run one operation { method, path, headers, body } through the app
+ * Resolves with { status, headers, body }
+ */
+function dispatch(app, parent, operation, index) {
+  return new Promise(resolve => {
+    const headers = {};
+    if (parent.get('Authorization')) {
+      headers.authorization = parent.get('Authorization');
+    }
+    for (const [name, value] of Object.entries(operation.headers || {})) {
+      headers[name.toLowerCase()] = value;
+    }
+    headers['x-request-id'] = `${parent.id}.${index}`;
+
+    const req = new http.IncomingMessage({ remoteAddress: parent.ip, encrypted: false });
+    req.method = operation.method;
+    req.url = operation.path;
+    req.httpVersionMajor = 1;
+    req.httpVersionMinor = 1;
+    req.httpVersion = '1.1';
+    req.headers = headers;
+
+    // Hand the body over already parsed; body parsers skip requests with _body
+    if (operation.body !== undefined) {
+      req.headers['content-type'] = req.headers['content-type'] || 'application/json';
+      req.body = operation.body;
+      req._body = true;
+    }
+    req.push(null);
+
+    const res = createCapturedResponse(req, (finished, raw) => {
+      const type = finished.getHeader('content-type') || '';
+
+      const result = { status: finished.statusCode, headers: {} };
+      for (const name of RESULT_HEADERS) {
+        if (finished.getHeader(name) !== undefined) {
+          result.headers[name] = finished.getHeader(name);
+        }
+      }
+      if (raw !== '') {
+        result.body = /json/.test(type) ? JSON.parse(raw) : raw;
+      }
+      resolve(result);
+    });
+
+    app.handle(req, res);
+  });
+}
+
+/**
+ * Thrown inside the transaction to roll it back after a failed operation
+ */
+class BatchAborted extends Error {}
+
+/**
+ * Run operations in order; see the module comment for transactional mode
+ * Returns { transactional, rolledBack, results }
+ */
+async function runBatch(app, parent, { operations, transactional }) {
+  const results = [];
+
+  const runAll = async () => {
+    for (const [index, operation] of operations.entries()) {
+      const result = await dispatch(app, parent, operation, index);
+      results.push(result);
+
+      if (transactional && result.status >= 400) {
+        throw new BatchAborted();
+      }
+    }
+  };
+
+  if (!transactional) {
+    await runAll();
+    return { transactional, rolledBack: false, results };
+  }
+
+  try {
+    await store.exclusive(() => store.transactionAsync(runAll));
+    return { transactional, rolledBack: false, results };
+  } catch (err) {
+    if (!(err instanceof BatchAborted)) {
+      throw err;
+    }
+  }
+
+  // Operations after the failed one never ran
+  const failedIndex = results.length - 1;
+  for (let index = results.length; index < operations.length; index++) {
+    results.push({
+      status: 424,
+      headers: { 'content-type': 'application/problem+json' },
+      body: {
+        type: 'about:blank',
+        title: http.STATUS_CODES[424],
+        status: 424,
+        detail: `Not run: operation ${failedIndex} failed and the batch was rolled back`,
+        code: 'batch_aborted'
+      }
+    });
+  }
+
+  return { transactional, rolledBack: true, results };
+}
+
+module.exports = { MAX_OPERATIONS, dispatch, runBatch };
@@ -0,0 +1,329 @@
+const store = require('../store');
+const { validateValue } = require('../middleware/validator');
+const { BadRequest, UnsupportedMediaType, UnprocessableEntity } = require('../errors');
+
+/**
+ * Bulk import and export
+ * CSV and NDJSON (one JSON object per line) in both directions.
+ *
+ * Import: the body is parsed into rows, every row is validated with the
+ * same schema as the single-create route, and the valid rows are inserted
+ * in one transaction.
+ *   - ?dryRun=true: validate and report only, nothing is written
+ *   - ?onError=abort (default): any invalid row fails the whole import
+ *     with 422 import_invalid_rows and the report; nothing is written
+ *   - ?onError=skip: insert the valid rows, report the invalid ones
+ *
+ * Report: { dryRun, format, total, valid, invalid, created,
+ *           rows: [{ line, status: valid|created|invalid, id?, errors? }] }
+ * "line" is the line number in the uploaded file (the CSV header is line 1).
+ *
+ * Export: routes pass the matching records as an array (copies from the
+ * store, already in memory); they are serialized and written one line at a
+ * time, waiting for the socket to drain, so the file itself is never built
+ * in memory. CSV text cells that a spreadsheet would run as a formula
+ * (starting with =, +, -, @, tab or CR) get a leading ' so they open as text.
+ */
+
+const FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Content types accepted by import routes (for express.text)
+const IMPORT_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson'];
+const IMPORT_LIMIT = process.env.IMPORT_LIMIT || '10mb';
+
+// Query schema shared by import routes
+const importQuery = {
+  dryRun: { type: 'boolean', default: false },
+  onError: { type: 'string', enum: ['abort', 'skip'], default: 'abort' }
+};
+
+// Query param shared by export routes
+const formatParam = {
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'csv' }
+};
+
+// --- Parsing ---
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * The first line names the columns. Empty cells are left out of the row,
+ * so optional fields get their defaults.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (record.length > 1 || record[0] !== '') {
+      records.push({ line: recordLine, cells: record });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new BadRequest('Unterminated quoted field', { code: 'malformed_csv', line: recordLine });
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.cells.map(cell => cell.trim());
+
+  return rows.map(({ line: rowLine, cells }) => {
+    if (cells.length !== columns.length) {
+      throw new BadRequest(`Expected ${columns.length} fields, found ${cells.length}`, {
+        code: 'malformed_csv',
+        line: rowLine
+      });
+    }
+
+    const row = {};
+    columns.forEach((column, index) => {
+      if (cells[index] !== '') {
+        row[column] = cells[index];
+      }
+    });
+    return { line: rowLine, row };
+  });
+}
+
+function parseNdjson(text) {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    if (content.trim() === '') {
+      return;
+    }
+
+    let row;
+    try {
+      row = JSON.parse(content);
+    } catch (err) {
+      throw new BadRequest('Line is not valid JSON', { code: 'malformed_ndjson', line: index + 1 });
+    }
+    rows.push({ line: index + 1, row });
+  });
+
+  return rows;
+}
+
+// csv or ndjson, from the request's Content-Type
+function importFormat(req) {
+  if (req.is('text/csv')) {
+    return 'csv';
+  }
+  if (req.is(['application/x-ndjson', 'application/ndjson'])) {
+    return 'ndjson';
+  }
+  throw new UnsupportedMediaType(`Send the file as ${IMPORT_TYPES.join(' or ')}`);
+}
+
+// --- Import ---
+
+/**
+ * Validate and insert the rows of an import request
+ *
+ * Options:
+ *   - schema: field map used by the single-create route
+ *   - prepare: async (row) => row, e.g. to hash a password (skipped on dry runs)
+ *   - check: (row, acceptedRows) => [{ path, code, message }] for rules the
+ *     schema cannot express (uniqueness against the store and the file)
+ *   - create: (row) => record, called inside one store transaction
+ *
+ * Returns the report; throws UnprocessableEntity when onError=abort and any
+ * row is invalid.
+ */
+async function importRows(req, { schema, prepare, check, create }) {
+  const format = importFormat(req);
+  const text = typeof req.body === 'string' ? req.body : '';
+  const rows = format === 'csv' ? parseCsv(text) : parseNdjson(text);
+  const { dryRun, onError } = req.query;
+
+  if (rows.length === 0) {
+    throw new BadRequest('The file contains no rows', { code: 'empty_import' });
+  }
+
+  // Schema checks (CSV cells are strings, so coerce them like query params)
+  const results = rows.map(({ line, row }) => {
+    const { value, errors } = validateValue(row, schema, { coerce: format === 'csv', path: 'row', req });
+    return { line, value, errors };
+  });
+
+  if (!dryRun && prepare) {
+    await Promise.all(results
+      .filter(result => result.errors.length === 0)
+      .map(async result => {
+        result.value = await prepare(result.value);
+      }));
+  }
+
+  // Everything from here on is synchronous, so the store cannot change
+  // between the checks and the inserts
+  const accepted = [];
+  for (const result of results) {
+    if (result.errors.length === 0 && check) {
+      result.errors = check(result.value, accepted);
+    }
+    if (result.errors.length === 0) {
+      accepted.push(result.value);
+    }
+  }
+
+  const invalid = results.filter(result => result.errors.length > 0);
+  const report = {
+    dryRun,
+    format,
+    total: results.length,
+    valid: results.length - invalid.length,
+    invalid: invalid.length,
+    created: 0
+  };
+
+  if (invalid.length > 0 && onError === 'abort') {
+    throw new UnprocessableEntity('Import contains invalid rows; nothing was imported', {
+      code: 'import_invalid_rows',
+      ...report,
+      rows: invalid.map(({ line, errors }) => ({ line, status: 'invalid', errors }))
+    });
+  }
+
+  const created = new Map();
+  if (!dryRun) {
+    store.transaction(() => {
+      for (const result of results) {
+        if (result.errors.length === 0) {
+          created.set(result, create(result.value));
+        }
+      }
+    });
+  }
+
+  report.created = created.size;
+  report.rows = results.map(result => {
+    if (result.errors.length > 0) {
+      return { line: result.line, status: 'invalid', errors: result.errors };
+    }
+    return created.has(result)
+      ? { line: result.line, status: 'created', id: created.get(result).id }
+      : { line: result.line, status: 'valid' };
+  });
+
+  return report;
+}
+
+// --- Export ---
+
+// Leading characters that make spreadsheets evaluate a cell (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+/**
+ * Stream records as a CSV or NDJSON download
+ *   - columns: CSV columns (default: keys of the first record)
+ *   - filename: download name without extension
+ */
+async function streamExport(res, records, { format, columns, filename }) {
+  res.status(200);
+  res.type(FORMATS[format]);
+  res.attachment(`${filename}.${format}`);
+
+  const write = chunk => new Promise(resolve => {
+    if (res.write(chunk)) {
+      return resolve();
+    }
+    // Wait for the socket, or give up if the client went away
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+
+  const header = columns || Object.keys(records[0] || {});
+  if (format === 'csv') {
+    await write(csvLine(header));
+  }
+
+  for (const record of records) {
+    if (res.destroyed) {
+      return;
+    }
+    await write(format === 'csv'
+      ? csvLine(header.map(column => record[column]))
+      : JSON.stringify(record) + '\n');
+  }
+
+  res.end();
+}
+
+module.exports = {
+  IMPORT_TYPES,
+  IMPORT_LIMIT,
+  importQuery,
+  formatParam,
+  parseCsv,
+  parseNdjson,
+  importRows,
+  streamExport
+};
@@ -0,0 +1,115 @@
+const store = require('../store');
+const { priceLineItems, toCents, fromCents } = require('./pricing');
+const { availableFor, findShortages } = require('./inventory');
+
+/**
+ * Shopping carts
+ * One cart per user, stored in "carts" the first time a line is added:
+ *
+ *   { id, userId, lines: [{ id, productId, variantId?, quantity, addedAt }], nextLineId }
+ *
+ * Carts hold no prices. Every time a cart is shown it is priced live from
+ * the products store (like an order would be), and problems that would make
+ * checkout fail are listed as warnings instead of errors:
+ *
+ *   - insufficient_stock: the cart wants more of a product or variant than
+ *     is in stock (over all its lines)
+ *   - unavailable: the product was deleted, the variant removed, or the
+ *     product got variants since the line was added
+ *
+ * Checkout (POST /carts/:userId/checkout) places the order through
+ * services/orders.js, which rejects those cases.
+ */
+
+const carts = store.repository('carts');
+const products = store.repository('products');
+
+/**
+ * The user's cart, or null if they never added anything
+ */
+function cartOf(userId) {
+  return carts.findOne(c => c.userId === userId);
+}
+
+// The line as an order line item input
+const toLineItem = ({ productId, variantId, quantity }) => ({ productId, variantId, quantity });
+
+/**
+ * The cart as the API shows it: lines with current prices and stock,
+ * totals over the lines that can be ordered, and warnings
+ */
+function priceCart(userId, cart = cartOf(userId)) {
+  const lines = [];
+  const warnings = [];
+  const orderable = [];
+  let subtotalCents = 0;
+
+  for (const line of cart ? cart.lines : []) {
+    const { items: [item] } = priceLineItems([toLineItem(line)]);
+
+    if (!item) {
+      const product = products.findById(line.productId);
+      lines.push({
+        id: line.id,
+        productId: line.productId,
+        ...(line.variantId && { variantId: line.variantId }),
+        name: product ? product.name : null,
+        quantity: line.quantity,
+        price: null,
+        lineTotal: null,
+        available: 0,
+        addedAt: line.addedAt
+      });
+      warnings.push({
+        lineId: line.id,
+        code: 'unavailable',
+        message: 'This product can no longer be ordered as it is; remove the line',
+        productId: line.productId,
+        ...(line.variantId && { variantId: line.variantId })
+      });
+      continue;
+    }
+
+    lines.push({ id: line.id, ...item, available: availableFor(line), addedAt: line.addedAt });
+    orderable.push(line);
+    subtotalCents += toCents(item.lineTotal);
+  }
+
+  for (const shortage of findShortages(orderable.map(toLineItem))) {
+    const short = orderable.filter(line => line.productId === shortage.productId &&
+      (line.variantId || null) === (shortage.variantId || null));
+
+    for (const line of short) {
+      warnings.push({
+        lineId: line.id,
+        code: 'insufficient_stock',
+        message: `Only ${shortage.available} in stock`,
+        ...shortage
+      });
+    }
+  }
+
+  return {
+    userId,
+    lines,
+    itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+    subtotal: fromCents(subtotalCents),
+    total: fromCents(subtotalCents),
+    warnings,
+    createdAt: cart ? cart.createdAt : null,
+    updatedAt: cart ? cart.updatedAt || cart.createdAt : null,
+    version: cart ? cart.version : null
+  };
+}
+
+/**
+ * Delete the user's cart (when the user is purged)
+ */
+function removeCartOf(userId) {
+  const cart = cartOf(userId);
+  if (cart) {
+    carts.remove(cart.id);
+  }
+}
+
+module.exports = { cartOf, priceCart, removeCartOf };
@@ -0,0 +1,113 @@
+const store = require('../store');
+const log = require('./log');
+
+/**
+ * Event bus
+ * Routers publish an event for every change they make; the /events stream
+ * (and anything else that subscribes) hears about it without the routers
+ * knowing who listens.
+ *
+ * Event:
+ *   {
+ *     id: 42,                          sequence number, increasing
+ *     type: 'order.status_changed',    <resource>.<action>
+ *     resource: 'order',
+ *     resourceId: 7,
+ *     data: { ...record },             after the change (before, for deletes)
+ *     actor: { id, username } | null,
+ *     requestId: '...',
+ *     at: '2024-01-01T00:00:00.000Z',
+ *     ...extra                          e.g. from/to for status changes
+ *   }
+ *
+ * Events are delivered only once the writes they describe have committed
+ * (store.afterCommit), so a rolled-back transaction or batch announces
+ * nothing. The last EVENTS_BUFFER_SIZE events (default 1000) are kept in
+ * memory so clients can catch up after a disconnect with since().
+ *
+ * Usage:
+ *   events.publish(req, 'product.updated', product);
+ *   const unsubscribe = events.subscribe(event => { ... });
+ */
+
+const RESOURCES = {
+  order: ['created', 'status_changed'],
+  product: ['created', 'updated', 'deleted', 'restored'],
+  user: ['created', 'updated', 'deleted', 'restored']
+};
+
+const EVENT_TYPES = Object.entries(RESOURCES)
+  .flatMap(([resource, actions]) => actions.map(action => `${resource}.${action}`));
+
+const BUFFER_SIZE = parseInt(process.env.EVENTS_BUFFER_SIZE) || 1000;
+
+const buffer = [];
+const subscribers = new Set();
+let lastId = 0;
+
+/**
+ * Publish a change made while handling req
+ *   - type: one of EVENT_TYPES
+ *   - record: the record as clients may see it (no password hashes)
+ *   - extra: more top-level fields, e.g. { from, to }
+ */
+function publish(req, type, record, extra = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type '${type}'`);
+  }
+
+  const [resource] = type.split('.');
+  const details = {
+    type,
+    resource,
+    resourceId: record.id,
+    data: record,
+    actor: req.user ? { id: req.user.id, username: req.user.username } : null,
+    requestId: req.id,
+    ...extra
+  };
+
+  store.afterCommit(() => deliver(details));
+}
+
+function deliver(details) {
+  const event = { id: ++lastId, ...details, at: new Date().toISOString() };
+
+  buffer.push(event);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  for (const fn of subscribers) {
+    try {
+      fn(event);
+    } catch (err) {
+      // One broken subscriber must not stop the others (or the request)
+      log.error('Event subscriber failed', { eventId: event.id, type: event.type, error: err.message });
+    }
+  }
+}
+
+/**
+ * Call fn with every event published from now on
+ * Returns a function that stops the subscription
+ */
+function subscribe(fn) {
+  subscribers.add(fn);
+  return () => subscribers.delete(fn);
+}
+
+/**
+ * Buffered events after the given ID
+ * Returns { events, complete }; complete is false if some events after
+ * that ID are no longer buffered (or the ID is from before a restart), so
+ * the client has missed changes and should reload its data.
+ */
+function since(id) {
+  const first = buffer.length > 0 ? buffer[0].id : lastId + 1;
+  const complete = id <= lastId && id >= first - 1;
+
+  return { events: buffer.filter(event => event.id > id), complete };
+}
+
+module.exports = { RESOURCES, EVENT_TYPES, publish, subscribe, since };
@@ -0,0 +1,101 @@
+const store = require('../store');
+const { OPEN_STATES } = require('./orderStateMachine');
+
+/**
+ * Referential integrity service
+ * Rules that span routers: orders reference users and products, so those
+ * records cannot simply disappear while an open order still points at them.
+ *
+ * What happens when an open order references a record being deleted is set
+ * per resource with an environment variable:
+ *
+ *   USER_DELETE_POLICY=restrict     (default) reject with 409 and the order IDs
+ *   USER_DELETE_POLICY=soft         delete it anyway
+ *   PRODUCT_DELETE_POLICY=...       same values, for products
+ *
+ * Deleting never removes a record right away: it is marked with deletedAt
+ * and goes to the trash (see services/trash.js).
+ */
+
+const orders = store.repository('orders');
+
+const DELETE_POLICIES = ['restrict', 'soft'];
+
+function readPolicy(variable) {
+  const policy = process.env[variable] || 'restrict';
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown ${variable} '${policy}' (expected: ${DELETE_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+const deletePolicies = {
+  users: readPolicy('USER_DELETE_POLICY'),
+  products: readPolicy('PRODUCT_DELETE_POLICY')
+};
+
+/**
+ * Soft-deleted records stay in the store but behave as if they were gone
+ */
+function isActive(record) {
+  return Boolean(record) && !record.deletedAt;
+}
+
+/**
+ * IDs of open orders placed by a user
+ */
+function openOrderIdsForUser(userId) {
+  return orders
+    .find(o => OPEN_STATES.includes(o.status) && o.userId === userId)
+    .map(o => o.id);
+}
+
+/**
+ * IDs of open orders containing a product
+ */
+function openOrderIdsForProduct(productId) {
+  return orders
+    .find(o => OPEN_STATES.includes(o.status) && o.items.some(i => i.productId === productId))
+    .map(o => o.id);
+}
+
+/**
+ * IDs of open orders containing a product variant
+ */
+function openOrderIdsForVariant(variantId) {
+  return orders
+    .find(o => OPEN_STATES.includes(o.status) && o.items.some(i => i.variantId === variantId))
+    .map(o => o.id);
+}
+
+/**
+ * Delete (mark with deletedAt) a record, honouring the resource's delete policy
+ *
+ * Returns { outcome, orderIds } where outcome is:
+ *   - 'deleted':      no open orders, record deleted
+ *   - 'soft-deleted': open orders exist, record deleted anyway (soft policy)
+ *   - 'blocked':      open orders exist, nothing changed
+ */
+function deleteReferenced(repository, id, openOrderIds) {
+  const deletedAt = new Date().toISOString();
+
+  if (openOrderIds.length === 0) {
+    repository.update(id, { deletedAt });
+    return { outcome: 'deleted', orderIds: [] };
+  }
+
+  if (deletePolicies[repository.name] === 'soft') {
+    repository.update(id, { deletedAt });
+    return { outcome: 'soft-deleted', orderIds: openOrderIds };
+  }
+
+  return { outcome: 'blocked', orderIds: openOrderIds };
+}
+
+module.exports = {
+  isActive,
+  openOrderIdsForUser,
+  openOrderIdsForProduct,
+  openOrderIdsForVariant,
+  deleteReferenced
+};
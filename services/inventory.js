@@ -0,0 +1,97 @@
+const store = require('../store');
+
+/**
+ * Inventory service
+ * Reserves and releases stock for order line items: the variant's stock for
+ * lines with a variantId, the product's stock otherwise.
+ *
+ * Both operations run inside a store transaction, so either every line item
+ * is applied or none of them are.
+ */
+
+const products = store.repository('products');
+const variants = store.repository('productVariants');
+
+// Sum quantities per stock unit (product or variant), so the same one on
+// two lines is checked once
+function quantitiesByUnit(lines) {
+  const totals = new Map();
+  for (const { productId, variantId, quantity } of lines) {
+    const key = variantId ? `variant:${variantId}` : `product:${productId}`;
+    const unit = totals.get(key) || {
+      repository: variantId ? variants : products,
+      id: variantId || productId,
+      line: variantId ? { productId, variantId } : { productId },
+      quantity: 0
+    };
+    unit.quantity += quantity;
+    totals.set(key, unit);
+  }
+  return totals.values();
+}
+
+/**
+ * Units in stock for a line item's variant or product (0 if it is gone)
+ */
+function availableFor({ productId, variantId }) {
+  const record = variantId ? variants.findById(variantId) : products.findById(productId);
+  return record ? record.stock : 0;
+}
+
+/**
+ * List the line items that cannot be fulfilled from current stock
+ * Returns [{ productId, variantId?, requested, available }], empty if
+ * everything fits
+ */
+function findShortages(lines) {
+  const shortages = [];
+
+  for (const { line, quantity } of quantitiesByUnit(lines)) {
+    const available = availableFor(line);
+
+    if (quantity > available) {
+      shortages.push({ ...line, requested: quantity, available });
+    }
+  }
+
+  return shortages;
+}
+
+/**
+ * Deduct stock for every line item, or nothing at all
+ * Returns the list of shortages; stock is only changed when it is empty
+ */
+function reserveStock(lines) {
+  return store.transaction(() => {
+    const shortages = findShortages(lines);
+    if (shortages.length > 0) {
+      return shortages;
+    }
+
+    const now = new Date().toISOString();
+    for (const { repository, id, quantity } of quantitiesByUnit(lines)) {
+      const record = repository.findById(id);
+      repository.update(id, { stock: record.stock - quantity, updatedAt: now });
+    }
+
+    return [];
+  });
+}
+
+/**
+ * Put stock back for every line item (e.g. when an order is cancelled)
+ * Products and variants that no longer exist are skipped.
+ */
+function releaseStock(lines) {
+  store.transaction(() => {
+    const now = new Date().toISOString();
+    for (const { repository, id, quantity } of quantitiesByUnit(lines)) {
+      const record = repository.findById(id);
+      if (record) {
+        repository.update(id, { stock: record.stock + quantity, updatedAt: now });
+      }
+    }
+  });
+}
+
+module.exports = { availableFor, findShortages, reserveStock, releaseStock };
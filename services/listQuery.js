@@ -0,0 +1,302 @@
+const { BadRequest } = require('../errors');
+
+/**
+ * List queries
+ * Filtering, cursor pagination, sorting and sparse fieldsets shared by every
+ * collection endpoint, so they all take the same query params and answer
+ * with the same envelope.
+ *
+ * Query params:
+ *   - filter: filter[field][operator]=value, combined with AND
+ *       filter[price][gte]=10&filter[category][in]=books,toys
+ *       filter[createdAt][gte]=2024-01-01&filter[createdAt][lt]=2024-02-01
+ *   - sort: comma-separated fields, "-" for descending (sort=-price,name)
+ *   - limit: page size (default 20, max 100)
+ *   - cursor: opaque position from links.next / links.prev
+ *     (a cursor is tied to its sort, not its filter: keep the filter)
+ *   - fields: comma-separated fields to return (fields=id,name,price)
+ *
+ * Response:
+ *   {
+ *     data: [...],
+ *     page: { limit, count, total, nextCursor, prevCursor },
+ *     links: { self, next, prev }
+ *   }
+ *
+ * Pages are keyset-based: a cursor holds the sort values of the first or
+ * last record on the page it came from, so records created or deleted
+ * meanwhile do not shift the next page. A cursor is only valid with the
+ * sort it was issued for; anything else is a 400 invalid_cursor.
+ *
+ * Filter operators depend on the field type declared in `filterable`:
+ *   - string: eq, ne, in, nin, contains (case-insensitive)
+ *   - number, integer: eq, ne, gt, gte, lt, lte, in, nin
+ *   - boolean: eq, ne
+ *   - date: eq, gt, gte, lt, lte (ISO 8601 values)
+ * The filter is validated by validateRequest like any other param, so an
+ * unknown field or operator, or a value of the wrong type, is a 400.
+ *
+ * Usage:
+ *   const productList = createListQuery({
+ *     filterable: { category: 'string', price: 'number', createdAt: 'date' },
+ *     sortable: ['name', 'price', 'createdAt'],
+ *     defaultSort: 'name',
+ *     fields: ['id', 'name', 'price', 'createdAt']
+ *   });
+ *
+ *   router.get('/', validateRequest({ query: { ...productList.query, category } }), (req, res) => {
+ *     res.json(productList.respond(req, products.find(...)));
+ *   });
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const OPERATORS = {
+  string: ['eq', 'ne', 'in', 'nin', 'contains'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  integer: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin'],
+  boolean: ['eq', 'ne'],
+  date: ['eq', 'gt', 'gte', 'lt', 'lte']
+};
+
+const isMissing = value => value === undefined || value === null;
+
+// (record value, operand) -> boolean; values are already normalized
+const MATCHERS = {
+  eq: (value, operand) => value === operand,
+  ne: (value, operand) => value !== operand,
+  gt: (value, operand) => !isMissing(value) && value > operand,
+  gte: (value, operand) => !isMissing(value) && value >= operand,
+  lt: (value, operand) => !isMissing(value) && value < operand,
+  lte: (value, operand) => !isMissing(value) && value <= operand,
+  in: (value, operand) => operand.includes(value),
+  nin: (value, operand) => !operand.includes(value),
+  contains: (value, operand) => typeof value === 'string' && value.toLowerCase().includes(operand.toLowerCase())
+};
+
+function createListQuery({ filterable = {}, sortable, defaultSort = 'id', fields, map = record => record }) {
+  const sortValues = sortable.flatMap(field => [field, `-${field}`]);
+  const filterRules = Object.fromEntries(Object.entries(filterable)
+    .map(([field, rule]) => [field, typeof rule === 'string' ? { type: rule } : rule]));
+
+  // Query schema for validateRequest (spread into the route's own params)
+  const query = {
+    filter: filterSchema(filterRules),
+    sort: { type: 'array', items: { type: 'string', enum: sortValues }, default: defaultSort.split(',') },
+    limit: { type: 'integer', min: 1, max: MAX_LIMIT, default: DEFAULT_LIMIT },
+    cursor: { type: 'string', minLength: 1 },
+    fields: { type: 'array', minLength: 1, items: { type: 'string', enum: fields } }
+  };
+
+  /**
+   * Filter, sort, paginate and project records into the list envelope
+   * records: every record the caller may see (route-specific scoping and
+   * params such as ?search= already applied)
+   */
+  function respond(req, records) {
+    const { filter, sort, limit, cursor } = req.query;
+    const spec = parseSort(sort);
+    const position = cursor ? decodeCursor(cursor, sort.join(',')) : null;
+
+    const compare = (a, b) => compareKeys(a, b, spec);
+    const sorted = sortEntries(applyFilter(records, filter, filterRules), spec);
+
+    // Find the slice that starts after (next) or ends before (prev) the cursor
+    let start = 0;
+    let end;
+    if (!position) {
+      end = Math.min(limit, sorted.length);
+    } else if (position.direction === 'next') {
+      start = indexOrLength(sorted, entry => compare(entry.key, position.key) > 0);
+      end = Math.min(start + limit, sorted.length);
+    } else {
+      end = indexOrLength(sorted, entry => compare(entry.key, position.key) >= 0);
+      start = Math.max(end - limit, 0);
+    }
+
+    const page = sorted.slice(start, end);
+    const sortParam = sort.join(',');
+    const nextCursor = end < sorted.length && page.length > 0
+      ? encodeCursor(sortParam, page[page.length - 1].key, 'next')
+      : null;
+    const prevCursor = start > 0 && page.length > 0
+      ? encodeCursor(sortParam, page[0].key, 'prev')
+      : null;
+
+    return {
+      data: page.map(({ record }) => project(map(record), req.query.fields)),
+      page: {
+        limit,
+        count: page.length,
+        total: sorted.length,
+        nextCursor,
+        prevCursor
+      },
+      links: {
+        self: linkTo(req, cursor),
+        next: nextCursor && linkTo(req, nextCursor),
+        prev: prevCursor && linkTo(req, prevCursor)
+      }
+    };
+  }
+
+  /**
+   * Every matching record, filtered, sorted and projected but not paged
+   * (for exports). Takes the same params as respond() minus limit/cursor.
+   */
+  function select(req, records) {
+    const { filter, sort, fields: selected } = req.query;
+    return sortEntries(applyFilter(records, filter, filterRules), parseSort(sort))
+      .map(({ record }) => project(map(record), selected));
+  }
+
+  return { query, respond, select };
+}
+
+// Pair records with their sort key ([...sort values, id]) and sort by it
+function sortEntries(records, spec) {
+  return records
+    .map(record => ({ record, key: [...spec.map(({ field }) => record[field]), record.id] }))
+    .sort((a, b) => compareKeys(a.key, b.key, spec));
+}
+
+// filter[field][op] schema: unknown fields and operators are rejected
+function filterSchema(filterRules) {
+  const properties = {};
+
+  for (const [field, rule] of Object.entries(filterRules)) {
+    const operators = {};
+    for (const operator of OPERATORS[rule.type]) {
+      if (operator === 'in' || operator === 'nin') {
+        operators[operator] = { type: 'array', minLength: 1, items: rule };
+      } else if (operator === 'contains') {
+        operators[operator] = { type: 'string', minLength: 1 };
+      } else {
+        operators[operator] = rule;
+      }
+    }
+    properties[field] = { type: 'object', properties: operators };
+  }
+
+  return { type: 'object', properties };
+}
+
+function applyFilter(records, filter, filterRules) {
+  if (!filter) {
+    return records;
+  }
+
+  const conditions = [];
+  for (const [field, operators] of Object.entries(filter)) {
+    const normalize = normalizer(filterRules[field].type);
+    for (const [operator, operand] of Object.entries(operators)) {
+      const value = Array.isArray(operand) ? operand.map(normalize) : normalize(operand);
+      conditions.push(record => MATCHERS[operator](normalize(record[field]), value));
+    }
+  }
+
+  return records.filter(record => conditions.every(condition => condition(record)));
+}
+
+// Dates compare as timestamps, so 2024-01-01 and 2024-01-01T00:00:00Z match
+function normalizer(type) {
+  if (type !== 'date') {
+    return value => value;
+  }
+  return value => {
+    if (isMissing(value)) {
+      return undefined;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? undefined : time;
+  };
+}
+
+// ['-price', 'name'] -> [{ field: 'price', direction: -1 }, { field: 'name', direction: 1 }]
+function parseSort(sort) {
+  return sort.map(value => value.startsWith('-')
+    ? { field: value.slice(1), direction: -1 }
+    : { field: value, direction: 1 });
+}
+
+// Compare two sort keys; the last element is always the ID (ascending tie-breaker)
+function compareKeys(a, b, spec) {
+  for (let i = 0; i < a.length; i++) {
+    const direction = i < spec.length ? spec[i].direction : 1;
+    const result = compareValues(a[i], b[i]);
+    if (result !== 0) {
+      return result * direction;
+    }
+  }
+  return 0;
+}
+
+// Missing values sort last; strings by locale, everything else numerically
+function compareValues(a, b) {
+  const aMissing = a === undefined || a === null;
+  const bMissing = b === undefined || b === null;
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+  }
+  if (typeof a === 'string' && typeof b === 'string') {
+    return a.localeCompare(b);
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function indexOrLength(entries, predicate) {
+  const index = entries.findIndex(predicate);
+  return index === -1 ? entries.length : index;
+}
+
+function encodeCursor(sort, key, direction) {
+  return Buffer.from(JSON.stringify({ s: sort, k: key, d: direction })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    decoded = null;
+  }
+
+  const valid = decoded && typeof decoded === 'object' &&
+    Array.isArray(decoded.k) && ['next', 'prev'].includes(decoded.d);
+  if (!valid) {
+    throw new BadRequest('Invalid cursor', { code: 'invalid_cursor' });
+  }
+  if (decoded.s !== sort) {
+    throw new BadRequest('Cursor was issued for a different sort', { code: 'invalid_cursor' });
+  }
+
+  return { key: decoded.k, direction: decoded.d };
+}
+
+function project(record, fields) {
+  if (!fields) {
+    return record;
+  }
+  const result = {};
+  for (const field of fields) {
+    if (record[field] !== undefined) {
+      result[field] = record[field];
+    }
+  }
+  return result;
+}
+
+// Same URL and query string as the request, with the cursor swapped
+function linkTo(req, cursor) {
+  const [path, search = ''] = req.originalUrl.split('?');
+  const params = new URLSearchParams(search);
+  params.delete('cursor');
+  if (cursor) {
+    params.set('cursor', cursor);
+  }
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+module.exports = { createListQuery, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,98 @@
+/**
+ * Structured logger
+ * Writes one JSON object per line to stdout (stderr for errors), so logs can
+ * be searched and aggregated. Sensitive fields are redacted before writing;
+ * URLs go through redactUrl() first.
+ *
+ * Configuration:
+ *   LOG_LEVEL   debug | info | warn | error (default: info)
+ *   LOG_FORMAT  json | pretty (default: pretty when NODE_ENV=development,
+ *               json otherwise)
+ *
+ * Usage:
+ *   const log = require('../services/log');
+ *   log.info('Order created', { requestId: req.id, orderId: order.id });
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const COLORS = { debug: '\x1b[90m', info: '\x1b[32m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+// Keys whose values never appear in logs (matched case-insensitively)
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'development' ? 'pretty' : 'json');
+
+/**
+ * Copy of a value with sensitive keys replaced by '[REDACTED]'
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, inner] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(inner);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * A URL with the values of sensitive query params (e.g. ?token= on
+ * GET /events) replaced by [REDACTED], for logging
+ */
+function redactUrl(url) {
+  const start = url.indexOf('?');
+  if (start === -1) {
+    return url;
+  }
+
+  const params = url.slice(start + 1).split('&').map(param => {
+    const [name] = param.split('=');
+    let decoded = name;
+    try {
+      decoded = decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (err) {
+      // Logged as it came
+    }
+    return SENSITIVE_KEY.test(decoded) ? `${name}=[REDACTED]` : param;
+  });
+  return `${url.slice(0, start)}?${params.join('&')}`;
+}
+
+function pretty(entry) {
+  const { time, level, msg, ...fields } = entry;
+  const extras = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time.slice(11, 23)} ${COLORS[level]}${level.toUpperCase().padEnd(5)}${RESET} ${msg}${extras ? ` ${extras}` : ''}`;
+}
+
+function enabled(level) {
+  return LEVELS[level] >= minLevel;
+}
+
+function write(level, msg, fields = {}) {
+  if (!enabled(level)) {
+    return;
+  }
+
+  const entry = { time: new Date().toISOString(), level, msg, ...redact(fields) };
+  const line = format === 'pretty' ? pretty(entry) : JSON.stringify(entry);
+  const stream = level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+module.exports = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  enabled,
+  redact,
+  redactUrl
+};
@@ -0,0 +1,319 @@
+const pkg = require('../package.json');
+const { toObjectRule } = require('../middleware/validator');
+
+/**
+ * OpenAPI generator
+ * Builds an OpenAPI 3.1 document by walking the registered routers, so the
+ * docs always match the code. Per route it reads:
+ *
+ *   - the path and method from the Express route
+ *   - params/query/headers/body from validateRequest schemas (middleware.schema)
+ *   - auth requirements from authorize/requireAuth (middleware.access)
+ *   - role-restricted body fields from restrictFields (middleware.restrictedFields)
+ *   - the Idempotency-Key header from idempotent() (middleware.idempotent)
+ *   - a 429 response for rate-limited routes (middleware.rateLimit)
+ *
+ * Usage:
+ *   buildSpec({ '/users': usersRouter, '/orders': ordersRouter })
+ */
+
+const PARAMETER_LOCATIONS = {
+  params: 'path',
+  query: 'query',
+  headers: 'header'
+};
+
+/**
+ * Convert a validateRequest rule into a JSON Schema
+ */
+function toJsonSchema(rule) {
+  const schema = {};
+  const type = rule.type === 'email' || rule.type === 'date' ? 'string' : rule.type;
+
+  if (type) {
+    schema.type = rule.nullable ? [type, 'null'] : type;
+  }
+  if (rule.type === 'email') {
+    schema.format = 'email';
+  }
+  if (rule.type === 'date') {
+    schema.format = 'date-time';
+  }
+  if (rule.enum) {
+    schema.enum = rule.enum;
+  }
+  if (rule.default !== undefined) {
+    schema.default = rule.default;
+  }
+  if (rule.pattern) {
+    schema.pattern = rule.pattern.source;
+  }
+  if (rule.min !== undefined) {
+    schema.minimum = rule.min;
+  }
+  if (rule.max !== undefined) {
+    schema.maximum = rule.max;
+  }
+
+  // minLength/maxLength mean item counts on arrays
+  if (type === 'array') {
+    if (rule.minLength !== undefined) schema.minItems = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxItems = rule.maxLength;
+    if (rule.items) schema.items = toJsonSchema(toObjectRule(rule.items));
+  } else {
+    if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+    if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+  }
+
+  if (rule.properties) {
+    schema.properties = {};
+    const required = [];
+
+    for (const [name, fieldRule] of Object.entries(rule.properties)) {
+      schema.properties[name] = toJsonSchema(fieldRule);
+      if (fieldRule.required) {
+        required.push(name);
+      }
+    }
+
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    if ((rule.unknown || 'reject') === 'reject') {
+      schema.additionalProperties = false;
+    }
+  }
+
+  return schema;
+}
+
+// "/orders" + "/:id/status" -> "/orders/{id}/status"
+function toOpenApiPath(mountPath, routePath) {
+  const joined = `${mountPath}${routePath === '/' ? '' : routePath}` || '/';
+  return joined.replace(/:(\w+)/g, '{$1}');
+}
+
+// GET /orders/{id}/status -> getOrdersByIdStatus
+function operationId(method, path) {
+  const words = path
+    .split('/')
+    .filter(Boolean)
+    .map(part => part.startsWith('{') ? `By${capitalize(part.slice(1, -1))}` : capitalize(part));
+  return method + words.join('').replace(/[^A-Za-z0-9]/g, '');
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function describeAccess(access, restrictedFields) {
+  const lines = [];
+
+  if (access) {
+    const who = [...access.roles];
+    if (access.owner) who.push('the owner of the resource');
+    lines.push(who.length > 0 ? `Access: ${who.join(', or ')}.` : 'Access: any authenticated user.');
+  }
+
+  for (const [field, roles] of Object.entries(restrictedFields || {})) {
+    lines.push(`Only ${roles.join(', ')} may set \`${field}\`.`);
+  }
+
+  return lines.join('\n\n');
+}
+
+/**
+ * Build the OpenAPI operation for one method of an Express route
+ */
+function buildOperation(method, path, tag, handlers) {
+  const find = key => handlers.find(handle => handle[key] !== undefined);
+
+  const validator = find('schema');
+  const authorizer = find('access');
+  const fieldRestrictions = find('restrictedFields');
+  const schema = validator ? validator.schema : {};
+
+  const operation = {
+    operationId: operationId(method, path),
+    tags: [tag],
+    parameters: [],
+    responses: {
+      '2XX': { description: 'Success' }
+    }
+  };
+
+  const description = describeAccess(
+    authorizer && authorizer.access,
+    fieldRestrictions && fieldRestrictions.restrictedFields
+  );
+  if (description) {
+    operation.description = description;
+  }
+
+  // Parameters from params/query/headers schemas
+  for (const [section, location] of Object.entries(PARAMETER_LOCATIONS)) {
+    const properties = (schema[section] && schema[section].properties) || {};
+    for (const [name, rule] of Object.entries(properties)) {
+      const parameter = {
+        name,
+        in: location,
+        required: location === 'path' || Boolean(rule.required),
+        schema: toJsonSchema(rule)
+      };
+      // Nested query objects use bracket syntax: filter[price][gte]=10
+      if (rule.type === 'object') {
+        parameter.style = 'deepObject';
+        parameter.explode = true;
+      }
+      operation.parameters.push(parameter);
+    }
+  }
+
+  if (find('idempotent')) {
+    operation.parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key replay the first response',
+      schema: { type: 'string', minLength: 1, maxLength: 255 }
+    });
+  }
+
+  // Path params without a schema are still required strings
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!operation.parameters.some(p => p.in === 'path' && p.name === name)) {
+      operation.parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: {
+        'application/json': { schema: toJsonSchema(schema.body) }
+      }
+    };
+  }
+
+  if (validator) {
+    operation.responses['400'] = { $ref: '#/components/responses/ValidationFailed' };
+  }
+  if (authorizer) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses['401'] = { $ref: '#/components/responses/Unauthorized' };
+    if (authorizer.access.roles.length > 0 || authorizer.access.owner) {
+      operation.responses['403'] = { $ref: '#/components/responses/Forbidden' };
+    }
+  }
+
+  const limiter = find('rateLimit');
+  if (limiter) {
+    const { limit, windowMs } = limiter.rateLimit;
+    operation.description = [operation.description, `Rate limit: ${limit} requests per ${windowMs / 1000}s.`]
+      .filter(Boolean).join('\n\n');
+    operation.responses['429'] = { $ref: '#/components/responses/TooManyRequests' };
+  }
+
+  return operation;
+}
+
+/**
+ * Walk routers and list their routes as { method, path, tag, handlers }
+ */
+function collectRoutes(routers) {
+  const routes = [];
+
+  for (const [mountPath, router] of Object.entries(routers)) {
+    const tag = mountPath.split('/').filter(Boolean)[0] || 'root';
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+
+      const path = toOpenApiPath(mountPath, layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        const handlers = layer.route.stack
+          .filter(routeLayer => routeLayer.method === method)
+          .map(routeLayer => routeLayer.handle);
+        routes.push({ method, path, tag, handlers });
+      }
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * List every endpoint as { method, path } (e.g. for the startup banner)
+ */
+function listEndpoints(routers) {
+  return collectRoutes(routers).map(({ method, path }) => ({ method: method.toUpperCase(), path }));
+}
+
+/**
+ * Build the OpenAPI 3.1 document for a map of mount path -> router
+ */
+function buildSpec(routers) {
+  const paths = {};
+
+  for (const { method, path, tag, handlers } of collectRoutes(routers)) {
+    paths[path] = paths[path] || {};
+    paths[path][method] = buildOperation(method, path, tag, handlers);
+  }
+
+  const problem = description => ({
+    description,
+    content: { 'application/problem+json': { schema: { $ref: '#/components/schemas/Problem' } } }
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: pkg.name,
+      version: pkg.version,
+      description: pkg.description
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        // RFC 7807 problem document (see middleware/errorHandler.js)
+        Problem: {
+          type: 'object',
+          properties: {
+            type: { type: 'string' },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string' },
+            code: { type: 'string' },
+            requestId: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string' },
+                  code: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          },
+          required: ['title', 'status', 'code']
+        }
+      },
+      responses: {
+        ValidationFailed: problem('Validation failed'),
+        Unauthorized: problem('Authentication required'),
+        Forbidden: problem('Not allowed'),
+        TooManyRequests: problem('Rate limit exceeded; retry after Retry-After seconds')
+      }
+    }
+  };
+}
+
+module.exports = { buildSpec, listEndpoints, toJsonSchema };
@@ -0,0 +1,124 @@
+const store = require('../store');
+const { InvalidTransition } = require('../errors');
+
+/**
+ * Order state machine
+ * The one place that knows which order statuses exist and how an order may
+ * move between them. Every status change goes through transition(), which
+ * records it in order.history and runs any registered hooks.
+ *
+ *   pending ──> processing ──> shipped ──> completed ──> refunded
+ *      │  ^         │             │
+ *      │  └─ on_hold┘             └──> refunded
+ *      └──────────────> cancelled (from pending, processing or on_hold)
+ *
+ * Hooks let other modules react without the routes knowing about them:
+ *   orderStateMachine.onEnter('cancelled', (order, change) => releaseStock(order.items));
+ *   orderStateMachine.onExit('pending', (order, change) => { ... });
+ *
+ * Hooks run synchronously inside the same store transaction as the status
+ * update, so a hook that throws rolls the whole transition back.
+ */
+
+const orders = store.repository('orders');
+
+const INITIAL_STATE = 'pending';
+
+const TRANSITIONS = {
+  pending: ['processing', 'on_hold', 'cancelled'],
+  processing: ['shipped', 'completed', 'on_hold', 'cancelled'],
+  on_hold: ['pending', 'processing', 'cancelled'],
+  shipped: ['completed', 'refunded'],
+  completed: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const STATES = Object.keys(TRANSITIONS);
+
+// Orders still in flight (they hold stock and block deleting what they reference)
+const OPEN_STATES = ['pending', 'processing', 'on_hold', 'shipped'];
+
+const hooks = {
+  enter: new Map(),
+  exit: new Map()
+};
+
+function register(kind, state, fn) {
+  if (!STATES.includes(state)) {
+    throw new Error(`Unknown order state '${state}'`);
+  }
+  if (!hooks[kind].has(state)) {
+    hooks[kind].set(state, []);
+  }
+  hooks[kind].get(state).push(fn);
+}
+
+function runHooks(kind, state, order, change) {
+  for (const fn of hooks[kind].get(state) || []) {
+    fn(order, change);
+  }
+}
+
+function allowedTransitions(from) {
+  return TRANSITIONS[from] || [];
+}
+
+function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+function historyEntry(from, to, { actor = null, reason = null } = {}) {
+  return { from, to, actor, reason, at: new Date().toISOString() };
+}
+
+/**
+ * History for a newly created order
+ */
+function initialHistory(context) {
+  return [historyEntry(null, INITIAL_STATE, context)];
+}
+
+/**
+ * Move an order to a new status
+ *
+ * context:
+ *   - actor: who made the change ({ id, username }, or null for the system)
+ *   - reason: free-text reason, stored in the history
+ *
+ * Returns the updated order. Throws InvalidTransition (409) if the
+ * transition is not allowed from the order's current status.
+ */
+function transition(order, to, context = {}) {
+  const from = order.status;
+
+  if (!canTransition(from, to)) {
+    throw new InvalidTransition(from, to, allowedTransitions(from));
+  }
+
+  return store.transaction(() => {
+    const entry = historyEntry(from, to, context);
+    const change = { from, to, actor: entry.actor, reason: entry.reason };
+
+    runHooks('exit', from, order, change);
+    runHooks('enter', to, order, change);
+
+    return orders.update(order.id, {
+      status: to,
+      updatedAt: entry.at,
+      history: [...(order.history || []), entry]
+    });
+  });
+}
+
+module.exports = {
+  INITIAL_STATE,
+  STATES,
+  OPEN_STATES,
+  allowedTransitions,
+  canTransition,
+  initialHistory,
+  transition,
+  onEnter: (state, fn) => register('enter', state, fn),
+  onExit: (state, fn) => register('exit', state, fn)
+};
@@ -0,0 +1,100 @@
+const store = require('../store');
+const { reserveStock } = require('./inventory');
+const { priceLineItems } = require('./pricing');
+const { isActive } = require('./integrity');
+const orderStateMachine = require('./orderStateMachine');
+const events = require('./events');
+const { Conflict, UnprocessableEntity } = require('../errors');
+
+/**
+ * Order placement
+ * Everything that turns { userId, items } into a new order, shared by
+ * POST /orders and cart checkout (POST /carts/:userId/checkout) so both
+ * check, price and reserve the same way:
+ *
+ *   1. the user must exist (422 unknown_user)
+ *   2. line items are priced from the products store (422 unknown_products,
+ *      unknown_variants or variant_required, see checkLineItems)
+ *   3. stock is reserved and the order inserted in one transaction
+ *      (409 insufficient_stock with the shortages, nothing deducted)
+ *   4. order.created is published once the transaction commits
+ */
+
+const orders = store.repository('orders');
+const users = store.repository('users');
+
+// Who is making a change, for order.history
+const actorOf = req => ({ id: req.user.id, username: req.user.username });
+
+/**
+ * Price { productId, variantId, quantity } line items, or throw 422 naming
+ * the products or variants that cannot be ordered
+ * Returns { items, subtotal, total } (see services/pricing.js)
+ */
+function checkLineItems(lines) {
+  const {
+    unknownProductIds,
+    unknownVariantIds,
+    variantRequiredProductIds,
+    items,
+    subtotal,
+    total
+  } = priceLineItems(lines);
+
+  if (unknownProductIds.length > 0) {
+    throw new UnprocessableEntity('Unknown products', {
+      code: 'unknown_products',
+      productIds: unknownProductIds
+    });
+  }
+  if (unknownVariantIds.length > 0) {
+    throw new UnprocessableEntity('Unknown variants', {
+      code: 'unknown_variants',
+      variantIds: unknownVariantIds
+    });
+  }
+  if (variantRequiredProductIds.length > 0) {
+    throw new UnprocessableEntity('These products are sold by variant; name a variantId', {
+      code: 'variant_required',
+      productIds: variantRequiredProductIds
+    });
+  }
+
+  return { items, subtotal, total };
+}
+
+/**
+ * Create an order for userId from line items, on behalf of req.user
+ * Returns the new order
+ */
+function placeOrder(req, { userId, items: lines }) {
+  if (!isActive(users.findById(userId))) {
+    throw new UnprocessableEntity('Unknown user', { code: 'unknown_user', userId });
+  }
+
+  // Look up current prices (ignores any price sent by the client)
+  const { items, subtotal, total } = checkLineItems(lines);
+
+  // Reserve stock and create the order as one unit of work
+  const order = store.transaction(() => {
+    const shortages = reserveStock(items);
+    if (shortages.length > 0) {
+      throw new Conflict('Insufficient stock', { code: 'insufficient_stock', shortages });
+    }
+
+    return orders.insert({
+      userId,
+      items,
+      status: orderStateMachine.INITIAL_STATE,
+      subtotal,
+      total,
+      history: orderStateMachine.initialHistory({ actor: actorOf(req), reason: 'Order placed' }),
+      createdAt: new Date().toISOString()
+    });
+  });
+  events.publish(req, 'order.created', order);
+
+  return order;
+}
+
+module.exports = { actorOf, checkLineItems, placeOrder };
@@ -0,0 +1,92 @@
+const store = require('../store');
+const { isActive } = require('./integrity');
+const { hasVariants, unitPrice } = require('./variants');
+
+/**
+ * Pricing service
+ * Prices order line items from the products store. Client-supplied prices
+ * are never trusted. Lines of a product with variants are priced by their
+ * variant (see services/variants.js).
+ *
+ * All arithmetic is done in integer cents and only converted back to
+ * decimal amounts at the end, so totals never pick up floating point drift
+ * (0.1 + 0.2 !== 0.3).
+ */
+
+const products = store.repository('products');
+const variants = store.repository('productVariants');
+
+const toCents = amount => Math.round(amount * 100);
+const fromCents = cents => cents / 100;
+
+const addOnce = (list, value) => {
+  if (!list.includes(value)) {
+    list.push(value);
+  }
+};
+
+/**
+ * Price a list of { productId, variantId, quantity } line items
+ *
+ * Returns:
+ *   - unknownProductIds: products that do not exist or were deleted
+ *   - unknownVariantIds: variants that do not exist or belong to another
+ *     product
+ *   - variantRequiredProductIds: products with variants ordered without one
+ *   - items: line items with the current price snapshotted onto them
+ *     (and the variant's SKU and attributes, for variant lines)
+ *   - subtotal / total: sums of the line totals
+ * The order must be rejected if any of the three lists is not empty.
+ */
+function priceLineItems(lines) {
+  const unknownProductIds = [];
+  const unknownVariantIds = [];
+  const variantRequiredProductIds = [];
+  const items = [];
+  let subtotalCents = 0;
+
+  for (const { productId, variantId, quantity } of lines) {
+    const product = products.findById(productId);
+
+    if (!isActive(product)) {
+      addOnce(unknownProductIds, productId);
+      continue;
+    }
+
+    let variant = null;
+    if (variantId !== undefined && variantId !== null) {
+      variant = variants.findById(variantId);
+      if (!variant || variant.productId !== productId) {
+        addOnce(unknownVariantIds, variantId);
+        continue;
+      }
+    } else if (hasVariants(productId)) {
+      addOnce(variantRequiredProductIds, productId);
+      continue;
+    }
+
+    const unitCents = toCents(unitPrice(product, variant));
+    const lineCents = unitCents * quantity;
+    subtotalCents += lineCents;
+
+    items.push({
+      productId,
+      ...(variant && { variantId: variant.id, sku: variant.sku, attributes: variant.attributes }),
+      name: product.name,
+      quantity,
+      price: fromCents(unitCents),
+      lineTotal: fromCents(lineCents)
+    });
+  }
+
+  return {
+    unknownProductIds,
+    unknownVariantIds,
+    variantRequiredProductIds,
+    items,
+    subtotal: fromCents(subtotalCents),
+    total: fromCents(subtotalCents)
+  };
+}
+
+module.exports = { priceLineItems, toCents, fromCents };
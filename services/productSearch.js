@@ -0,0 +1,255 @@
+const store = require('../store');
+const { isActive } = require('./integrity');
+
+/**
+ * Product search
+ * A small in-process full-text index over product names and categories.
+ *
+ *   - Tokenized and case-insensitive ("Desk-Chair" -> desk, chair),
+ *     accents ignored
+ *   - Typo tolerant: a query word matches an indexed word exactly, as a
+ *     prefix, or within 1 typo (words of 4+ letters) / 2 typos (8+ letters).
+ *     Swapped neighbouring letters count as one typo.
+ *   - Every query word must match; products are scored by how well each
+ *     word matched (exact > prefix > typo) and where (name > category)
+ *
+ * Only the words are indexed. Prices, stock and deletion are read from the
+ * products store at query time, so the index only has to change when a name
+ * or category does. Routes keep it current with indexProduct() after a
+ * create or update and removeProduct() after a delete. The index is built
+ * lazily from the store on first search; rebuild() starts over (e.g. after
+ * store.useDriver()).
+ */
+
+const FIELD_WEIGHTS = { name: 2, category: 1 };
+const MATCH_SCORES = { exact: 1, prefix: 0.8, typo: 0.6 };
+
+// Price facet buckets: [min, max)
+const PRICE_BUCKETS = [
+  { key: '0-25', min: 0, max: 25 },
+  { key: '25-100', min: 25, max: 100 },
+  { key: '100-500', min: 100, max: 500 },
+  { key: '500+', min: 500, max: null }
+];
+
+const products = store.repository('products');
+
+// term -> Map(productId -> best field weight for that term)
+let terms = null;
+// productId -> terms, so a product can be taken out again
+let documents = null;
+
+function tokenize(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function allowedTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment)
+ * Stops early and returns max + 1 once the distance exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previous2[j - 2] + 1);
+      }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// How well a query word matches an indexed term (0 = not at all)
+function matchScore(word, term) {
+  if (word === term) {
+    return MATCH_SCORES.exact;
+  }
+  if (word.length >= 2 && term.startsWith(word)) {
+    return MATCH_SCORES.prefix;
+  }
+  const max = allowedTypos(word);
+  if (max > 0 && editDistance(word, term, max) <= max) {
+    return MATCH_SCORES.typo;
+  }
+  return 0;
+}
+
+function addDocument(product) {
+  const weights = new Map();
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    for (const term of tokenize(product[field] || '')) {
+      weights.set(term, Math.max(weights.get(term) || 0, weight));
+    }
+  }
+
+  for (const [term, weight] of weights) {
+    if (!terms.has(term)) {
+      terms.set(term, new Map());
+    }
+    terms.get(term).set(product.id, weight);
+  }
+  documents.set(product.id, [...weights.keys()]);
+}
+
+function removeDocument(id) {
+  for (const term of documents.get(id) || []) {
+    const postings = terms.get(term);
+    postings.delete(id);
+    if (postings.size === 0) {
+      terms.delete(term);
+    }
+  }
+  documents.delete(id);
+}
+
+function ensureIndex() {
+  if (terms === null) {
+    rebuild();
+  }
+}
+
+/**
+ * Rebuild the index from the products store
+ */
+function rebuild() {
+  terms = new Map();
+  documents = new Map();
+  for (const product of products.find(isActive)) {
+    addDocument(product);
+  }
+}
+
+/**
+ * Add or refresh a product after it was created or updated
+ */
+function indexProduct(product) {
+  if (terms === null) {
+    return; // built from the store on first search
+  }
+  removeDocument(product.id);
+  if (isActive(product)) {
+    addDocument(product);
+  }
+}
+
+/**
+ * Take a deleted product out of the index
+ */
+function removeProduct(id) {
+  if (terms !== null) {
+    removeDocument(id);
+  }
+}
+
+/**
+ * Find active products matching every word of q
+ * Returns [{ product, score }] ordered by score (best first)
+ */
+function search(q) {
+  ensureIndex();
+
+  const words = [...new Set(tokenize(q))];
+  if (words.length === 0) {
+    return [];
+  }
+
+  let scores = null;
+
+  for (const word of words) {
+    // Best score this word reaches in each product
+    const wordScores = new Map();
+    for (const [term, postings] of terms) {
+      const score = matchScore(word, term);
+      if (score === 0) {
+        continue;
+      }
+      for (const [id, weight] of postings) {
+        wordScores.set(id, Math.max(wordScores.get(id) || 0, score * weight));
+      }
+    }
+
+    // Every word has to match
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      for (const id of scores.keys()) {
+        if (wordScores.has(id)) {
+          scores.set(id, scores.get(id) + wordScores.get(id));
+        } else {
+          scores.delete(id);
+        }
+      }
+    }
+  }
+
+  const results = [];
+  for (const [id, score] of scores) {
+    const product = products.findById(id);
+    if (isActive(product)) {
+      results.push({ product, score: Math.round((score / words.length) * 1000) / 1000 });
+    }
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.product.id - b.product.id);
+}
+
+/**
+ * Facet counts for a set of products: per category and per price bucket
+ */
+function facets(list) {
+  const categories = new Map();
+  for (const product of list) {
+    categories.set(product.category, (categories.get(product.category) || 0) + 1);
+  }
+
+  return {
+    category: [...categories]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    price: PRICE_BUCKETS.map(bucket => ({
+      ...bucket,
+      count: list.filter(p => p.price >= bucket.min && (bucket.max === null || p.price < bucket.max)).length
+    }))
+  };
+}
+
+module.exports = {
+  search,
+  facets,
+  indexProduct,
+  removeProduct,
+  rebuild,
+  tokenize,
+  PRICE_BUCKETS
+};
@@ -0,0 +1,122 @@
+const store = require('../store');
+const { isAdmin } = require('../middleware/authorize');
+const { isActive, openOrderIdsForUser, openOrderIdsForProduct } = require('./integrity');
+const variants = require('./variants');
+const { removeCartOf } = require('./carts');
+const log = require('./log');
+const { Forbidden, Conflict } = require('../errors');
+
+/**
+ * Trash
+ * Deleting a user, product or item only marks it with deletedAt. From then
+ * on it is hidden from the API (see isActive), but it can be brought back
+ * with POST /<resource>/:id/restore until the purge removes it for good.
+ *
+ *   - Lists and GET /:id skip deleted records; admins can pass
+ *     ?includeDeleted=true to see them
+ *   - The purge runs every TRASH_PURGE_INTERVAL_MS (default 1 hour) and
+ *     removes records deleted more than TRASH_RETENTION_DAYS ago (default
+ *     30), except users and products that open orders still reference;
+ *     a purged user takes their cart along, a purged product its variants
+ *
+ * Usage in a route:
+ *   validateRequest({ query: { ...productList.query, ...trash.includeDeletedParam } })
+ *   products.find(trash.visibleTo(req))
+ */
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Repositories with a trash, and what keeps a deleted record from being purged
+const PURGEABLE = {
+  users: id => openOrderIdsForUser(id).length > 0,
+  products: id => openOrderIdsForProduct(id).length > 0,
+  items: () => false
+};
+
+// What goes with a purged record
+const CASCADES = {
+  users: removeCartOf,
+  products: variants.removeAllOf
+};
+
+// Query param for routes that can show deleted records
+const includeDeletedParam = {
+  includeDeleted: { type: 'boolean', default: false }
+};
+
+/**
+ * Predicate for the records req may see: active ones, or every record for
+ * admins asking with includeDeleted=true (403 for anybody else asking)
+ */
+function visibleTo(req) {
+  if (!req.query.includeDeleted) {
+    return isActive;
+  }
+  if (!isAdmin(req)) {
+    throw new Forbidden('Only admins can see deleted records', { code: 'include_deleted_forbidden' });
+  }
+  return () => true;
+}
+
+/**
+ * Move a record to the trash; returns the updated record
+ */
+function softDelete(repository, id) {
+  return repository.update(id, { deletedAt: new Date().toISOString() });
+}
+
+/**
+ * Take a record out of the trash; 409 not_deleted if it is not in it
+ */
+function restore(repository, record) {
+  if (isActive(record)) {
+    throw new Conflict('Record is not deleted', { code: 'not_deleted' });
+  }
+  return repository.update(record.id, { deletedAt: null, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Remove records that have been in the trash longer than the retention
+ * period. Returns the number purged per repository.
+ */
+function purgeExpired(now = Date.now()) {
+  const cutoff = new Date(now - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const purged = {};
+
+  for (const [name, isReferenced] of Object.entries(PURGEABLE)) {
+    const repository = store.repository(name);
+    const expired = repository.find(r => r.deletedAt && r.deletedAt <= cutoff && !isReferenced(r.id));
+
+    for (const record of expired) {
+      repository.remove(record.id);
+      if (CASCADES[name]) {
+        CASCADES[name](record.id);
+      }
+    }
+    purged[name] = expired.length;
+  }
+
+  if (Object.values(purged).some(count => count > 0)) {
+    log.info('Trash purged', { retentionDays: RETENTION_DAYS, ...purged });
+  }
+  return purged;
+}
+
+// unref: the schedule must not keep the process alive
+setInterval(() => {
+  try {
+    purgeExpired();
+  } catch (err) {
+    log.error('Trash purge failed', { error: err.message });
+  }
+}, PURGE_INTERVAL_MS).unref();
+
+module.exports = {
+  RETENTION_DAYS,
+  includeDeletedParam,
+  visibleTo,
+  softDelete,
+  restore,
+  purgeExpired
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const store = require('../store');
+
+/**
+ * Product variants
+ * A product sold in several versions (colors, sizes, ...) has one variant
+ * per version, stored in "productVariants":
+ *
+ *   {
+ *     id: 4,
+ *     productId: 2,
+ *     sku: 'CHAIR-BLK-L',                        unique across all products
+ *     price: 219.99,                             null: the product's price
+ *     stock: 12,
+ *     attributes: { color: 'black', size: 'L' }  unique within the product
+ *   }
+ *
+ * A product with variants is stocked and priced per variant: order line
+ * items must name a variantId, and the product's own stock is not used -
+ * the API shows the sum of its variants' stock instead (withVariants), and
+ * rejects writes to it. Products without variants work as before.
+ *
+ * Variant writes do not bump the product's version, so ETags of product
+ * responses come from versionOf(), which covers the variants too.
+ */
+
+const variants = store.repository('productVariants');
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+// Attribute names and values are matched case-insensitively
+const normalize = value => String(value).trim().toLowerCase();
+
+/**
+ * Variants of a product, oldest first
+ */
+function variantsOf(productId) {
+  return variants.find(v => v.productId === productId).sort((a, b) => a.id - b.id);
+}
+
+function hasVariants(productId) {
+  return variants.findOne(v => v.productId === productId) !== null;
+}
+
+/**
+ * The product as the API shows it: with its variants, and their total
+ * stock as its stock if it has any
+ */
+function withVariants(product) {
+  const list = variantsOf(product.id);
+  return {
+    ...product,
+    stock: list.length > 0 ? list.reduce((sum, v) => sum + v.stock, 0) : product.stock,
+    variants: list
+  };
+}
+
+/**
+ * Version of the product as the API shows it, for ETag / If-Match: the
+ * product's own version, plus a digest of its variants' IDs and versions
+ */
+function versionOf(product) {
+  const list = variantsOf(product.id);
+  if (list.length === 0) {
+    return product.version;
+  }
+
+  const digest = crypto.createHash('sha1')
+    .update(list.map(v => `${v.id}:${v.version}`).join(','))
+    .digest('base64url')
+    .slice(0, 12);
+  return `${product.version}-${digest}`;
+}
+
+/**
+ * Price of one unit: the variant's override, or the product's price
+ */
+function unitPrice(product, variant) {
+  return variant && variant.price !== null ? variant.price : product.price;
+}
+
+/**
+ * The variant with this SKU (case-insensitive), or null
+ */
+function findBySku(sku) {
+  return variants.findOne(v => normalize(v.sku) === normalize(sku));
+}
+
+/**
+ * Another variant of the product with exactly these attributes, if any
+ */
+function findByAttributes(productId, attributes, exceptId = null) {
+  const wanted = Object.entries(attributes).map(([name, value]) => [normalize(name), normalize(value)]).sort();
+  const key = JSON.stringify(wanted);
+
+  return variantsOf(productId).find(v => {
+    const own = Object.entries(v.attributes).map(([name, value]) => [normalize(name), normalize(value)]).sort();
+    return v.id !== exceptId && JSON.stringify(own) === key;
+  });
+}
+
+/**
+ * Product predicate for an attribute filter: { color: ['black', 'red'], size: ['L'] }
+ * matches products with a variant that has one of the values of every
+ * attribute (values within an attribute are ORed, attributes are ANDed)
+ */
+function attributeMatcher(filter) {
+  const wanted = Object.entries(filter)
+    .map(([name, values]) => [normalize(name), [].concat(values).map(normalize)]);
+
+  const matches = variant => {
+    const own = new Map(Object.entries(variant.attributes).map(([name, value]) => [normalize(name), normalize(value)]));
+    return wanted.every(([name, values]) => own.has(name) && values.includes(own.get(name)));
+  };
+
+  return product => variantsOf(product.id).some(matches);
+}
+
+/**
+ * Remove every variant of a product (when the product itself is purged)
+ */
+function removeAllOf(productId) {
+  for (const variant of variants.find(v => v.productId === productId)) {
+    variants.remove(variant.id);
+  }
+}
+
+module.exports = {
+  SKU_PATTERN,
+  variantsOf,
+  hasVariants,
+  withVariants,
+  versionOf,
+  unitPrice,
+  findBySku,
+  findByAttributes,
+  attributeMatcher,
+  removeAllOf
+};
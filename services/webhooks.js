@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const store = require('../store');
+const events = require('./events');
+const orderStateMachine = require('./orderStateMachine');
+const log = require('./log');
+
+/**
+ * Outgoing webhooks
+ * Subscriptions (stored in "webhooks") name the order events they want; for
+ * every matching event a delivery (stored in "webhookDeliveries") is created
+ * and POSTed to the subscription's URL.
+ *
+ * Events: order.created, and order.<status> whenever an order enters that
+ * status (order.processing, order.cancelled, ...). They come from the event
+ * bus (services/events.js), so writes that are rolled back send nothing.
+ *
+ * Request:
+ *   POST <url>
+ *   Content-Type: application/json
+ *   Webhook-Id: <delivery ID>
+ *   Webhook-Event: order.cancelled
+ *   Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ *   { id, type, createdAt, data: { order, from, to, actor } }
+ *
+ * The payload id is the same for every delivery of one event (including
+ * redeliveries), so receivers can drop duplicates.
+ *
+ * Any 2xx answer within WEBHOOK_TIMEOUT_MS (default 5000) is a success.
+ * Anything else is retried with exponential backoff: WEBHOOK_RETRY_BASE_MS
+ * (default 2000), doubled after every failed attempt, at most
+ * WEBHOOK_RETRY_MAX_MS (default 1 hour) apart, up to WEBHOOK_MAX_ATTEMPTS
+ * attempts (default 6). Every attempt is recorded on the delivery.
+ */
+
+const EVENT_NAMES = ['order.created', ...orderStateMachine.STATES.map(status => `order.${status}`)];
+const PING_EVENT = 'webhook.ping';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+
+// How much of a receiver's response body is kept on the attempt
+const RESPONSE_EXCERPT_LENGTH = 1000;
+
+const webhooks = store.repository('webhooks');
+const deliveries = store.repository('webhookDeliveries');
+
+// deliveryId -> timer of its next attempt
+const timers = new Map();
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Webhook-Signature header for a body sent at timestamp (unix seconds)
+ */
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// The subscription as the API shows it: the secret is only returned on create
+function toPublicWebhook({ secret, ...webhook }) {
+  return webhook;
+}
+
+/**
+ * Delay before the attempt after `failed` failed attempts
+ */
+function retryDelay(failed) {
+  return Math.min(RETRY_BASE_MS * 2 ** (failed - 1), RETRY_MAX_MS);
+}
+
+// Webhook event name for a bus event (null if webhooks do not carry it)
+function eventNameOf(event) {
+  if (event.type === 'order.created') {
+    return 'order.created';
+  }
+  if (event.type === 'order.status_changed') {
+    return `order.${event.to}`;
+  }
+  return null;
+}
+
+function schedule(deliveryId, delay) {
+  clearTimeout(timers.get(deliveryId));
+
+  // unref: pending retries must not keep the process alive
+  const timer = setTimeout(() => {
+    timers.delete(deliveryId);
+    attempt(deliveryId).catch(err => {
+      log.error('Webhook delivery crashed', { deliveryId, error: err.message });
+    });
+  }, delay);
+  timer.unref();
+  timers.set(deliveryId, timer);
+}
+
+/**
+ * Queue a payload for one webhook and send it right away
+ * Returns the new delivery
+ */
+function enqueue(webhook, payload, { redeliveryOf = null } = {}) {
+  const now = new Date().toISOString();
+  const delivery = deliveries.insert({
+    webhookId: webhook.id,
+    eventType: payload.type,
+    payload,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    redeliveryOf,
+    createdAt: now
+  });
+
+  schedule(delivery.id, 0);
+  return delivery;
+}
+
+async function post(url, secret, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const start = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'event2-webhooks/1.0',
+        'Webhook-Id': String(delivery.id),
+        'Webhook-Event': delivery.eventType,
+        'Webhook-Signature': sign(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+    const text = await response.text();
+
+    return {
+      at: new Date(start).toISOString(),
+      durationMs: Date.now() - start,
+      statusCode: response.status,
+      error: response.ok ? null : `Receiver answered ${response.status}`,
+      responseBody: text.slice(0, RESPONSE_EXCERPT_LENGTH)
+    };
+  } catch (err) {
+    return {
+      at: new Date(start).toISOString(),
+      durationMs: Date.now() - start,
+      statusCode: null,
+      error: err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : err.cause?.message || err.message,
+      responseBody: null
+    };
+  }
+}
+
+/**
+ * Make the next attempt of a pending delivery and record the outcome
+ */
+async function attempt(deliveryId) {
+  const delivery = deliveries.findById(deliveryId);
+  if (!delivery || delivery.status !== 'pending') {
+    return;
+  }
+
+  const webhook = webhooks.findById(delivery.webhookId);
+  if (!webhook || !webhook.active) {
+    deliveries.update(deliveryId, {
+      status: 'failed',
+      nextAttemptAt: null,
+      updatedAt: new Date().toISOString(),
+      attempts: [...delivery.attempts, {
+        at: new Date().toISOString(),
+        durationMs: 0,
+        statusCode: null,
+        error: webhook ? 'Webhook is disabled' : 'Webhook was deleted',
+        responseBody: null
+      }]
+    });
+    return;
+  }
+
+  const result = await post(webhook.url, webhook.secret, delivery);
+
+  // The delivery may have changed (or gone) while the request was out
+  const current = deliveries.findById(deliveryId);
+  if (!current) {
+    return;
+  }
+
+  const attempts = [...current.attempts, result];
+  const changes = { attempts, updatedAt: new Date().toISOString() };
+
+  if (result.error === null) {
+    Object.assign(changes, { status: 'succeeded', nextAttemptAt: null });
+  } else if (attempts.length >= MAX_ATTEMPTS) {
+    Object.assign(changes, { status: 'failed', nextAttemptAt: null });
+    log.warn('Webhook delivery failed', { webhookId: webhook.id, deliveryId, attempts: attempts.length });
+  } else {
+    const delay = retryDelay(attempts.length);
+    changes.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    schedule(deliveryId, delay);
+  }
+
+  deliveries.update(deliveryId, changes);
+}
+
+/**
+ * Send a delivery's payload again, as a new delivery
+ */
+function redeliver(delivery) {
+  return enqueue(webhooks.findById(delivery.webhookId), delivery.payload, { redeliveryOf: delivery.id });
+}
+
+/**
+ * Send a webhook.ping event (ignores the subscription's event filter)
+ */
+function ping(webhook) {
+  return enqueue(webhook, {
+    id: crypto.randomUUID(),
+    type: PING_EVENT,
+    createdAt: new Date().toISOString(),
+    data: { webhookId: webhook.id }
+  });
+}
+
+/**
+ * Delete a subscription, its delivery log and its pending retries
+ */
+function removeWebhook(id) {
+  store.transaction(() => {
+    for (const delivery of deliveries.find(d => d.webhookId === id)) {
+      clearTimeout(timers.get(delivery.id));
+      timers.delete(delivery.id);
+      deliveries.remove(delivery.id);
+    }
+    webhooks.remove(id);
+  });
+}
+
+// Fan bus events out to the subscriptions that want them
+events.subscribe(event => {
+  const type = eventNameOf(event);
+  if (!type) {
+    return;
+  }
+
+  const subscribed = webhooks.find(webhook => webhook.active && webhook.events.includes(type));
+  if (subscribed.length === 0) {
+    return;
+  }
+
+  const payload = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: event.at,
+    data: { order: event.data, from: event.from || null, to: event.to || event.data.status, actor: event.actor }
+  };
+
+  for (const webhook of subscribed) {
+    enqueue(webhook, payload);
+  }
+});
+
+// Pick up retries that were pending when the process stopped (file driver)
+for (const delivery of deliveries.find(d => d.status === 'pending')) {
+  schedule(delivery.id, Math.max(Date.parse(delivery.nextAttemptAt) - Date.now(), 0));
+}
+
+module.exports = {
+  EVENT_NAMES,
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  toPublicWebhook,
+  retryDelay,
+  redeliver,
+  ping,
+  removeWebhook
+};
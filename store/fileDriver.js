@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * File storage driver
+ * Persists each collection as a JSON file (<dataDir>/<collection>.json),
+ * so data survives a server restart.
+ *
+ * Writes go to a temporary file first and are then renamed into place,
+ * so a crash mid-write never leaves a half-written collection behind.
+ */
+
+function createFileDriver(dataDir = process.env.DATA_DIR || path.join(__dirname, '..', 'data')) {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const fileFor = collection => path.join(dataDir, `${collection}.json`);
+
+  return {
+    name: 'file',
+
+    read(collection) {
+      const file = fileFor(collection);
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+
+    write(collection, records) {
+      const file = fileFor(collection);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(records, null, 2));
+      fs.renameSync(tmpFile, file);
+    }
+  };
+}
+
+module.exports = { createFileDriver };
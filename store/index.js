@@ -0,0 +1,260 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMemoryDriver } = require('./memoryDriver');
+const { createFileDriver } = require('./fileDriver');
+const { createRepository } = require('./repository');
+const seed = require('./seed');
+
+/**
+ * Data store
+ * Picks a storage driver from the STORE_DRIVER environment variable and hands
+ * out one shared repository per collection.
+ *
+ *   STORE_DRIVER=memory  (default) data is lost on restart
+ *   STORE_DRIVER=file    JSON files in DATA_DIR (default: ./data)
+ *
+ * Usage:
+ *   const store = require('../store');
+ *   const products = store.repository('products');
+ */
+
+const drivers = {
+  memory: createMemoryDriver,
+  file: createFileDriver
+};
+
+function createDriver(name) {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown STORE_DRIVER '${name}' (expected: ${Object.keys(drivers).join(', ')})`);
+  }
+  return factory();
+}
+
+let driver = createDriver(process.env.STORE_DRIVER || 'memory');
+const repositories = new Map();
+
+// Journal of the transaction the current code runs in (if any): the writes
+// to undo on failure and the afterCommit() callbacks to run on success
+const journals = new AsyncLocalStorage();
+
+// onWrite() listeners
+const writeListeners = new Set();
+
+// Write lock (see lockShared() and exclusive()): how many hold it shared,
+// whether exclusive() holds it, and who waits for it, served in order
+const writeLock = { shared: 0, exclusive: false, queue: [] };
+
+// Set while exclusive() runs, so the code it runs does not wait for itself
+const exclusiveRuns = new AsyncLocalStorage();
+
+function recordWrite(repo, id, before, after) {
+  const journal = journals.getStore();
+  if (journal) {
+    journal.writes.push({ repo, id, before });
+  }
+
+  for (const listener of writeListeners) {
+    listener({ repository: repo.name, id, before, after });
+  }
+}
+
+// Hand callbacks to the enclosing transaction, or run them if there is none
+function commit(callbacks) {
+  const journal = journals.getStore();
+  if (journal) {
+    journal.callbacks.push(...callbacks);
+  } else {
+    for (const fn of callbacks) {
+      fn();
+    }
+  }
+}
+
+// Put every record a failed transaction wrote back as it was, newest first
+function rollBack(journal) {
+  for (const { repo, id, before } of journal.writes.reverse()) {
+    repo.revert(id, before);
+  }
+}
+
+// A transaction succeeded: its writes are undone with the enclosing one
+// (if any), and its callbacks run when that commits
+function settle(journal) {
+  const parent = journals.getStore();
+  if (parent) {
+    parent.writes.push(...journal.writes);
+  }
+  commit(journal.callbacks);
+}
+
+/**
+ * Get the shared repository for a collection
+ */
+function repository(name) {
+  if (!repositories.has(name)) {
+    repositories.set(name, createRepository(name, driver, seed[name], { onWrite: recordWrite }));
+  }
+  return repositories.get(name);
+}
+
+/**
+ * Swap the storage driver for every repository
+ * Tests use this to start from a clean store: useDriver(createMemoryDriver())
+ */
+function useDriver(newDriver) {
+  driver = newDriver;
+  for (const repo of repositories.values()) {
+    repo.attach(driver);
+  }
+}
+
+/**
+ * Run fn as one all-or-nothing unit of work
+ * Every write fn makes is journaled; if fn throws, those records are put
+ * back as they were and the error is rethrown. Only the records fn wrote
+ * are copied and restored, so the cost does not grow with the store.
+ * fn must be synchronous.
+ */
+function transaction(fn) {
+  const journal = { writes: [], callbacks: [] };
+
+  let result;
+  try {
+    result = journals.run(journal, fn);
+  } catch (err) {
+    rollBack(journal);
+    throw err;
+  }
+
+  settle(journal);
+  return result;
+}
+
+/**
+ * Like transaction(), but fn may be async (e.g. run whole HTTP requests)
+ * Every write fn makes, including in callbacks it awaits, is journaled. If
+ * fn throws, those records are put back as they were, newest first, and
+ * the error is rethrown. Other requests keep running meanwhile: if they may
+ * write the same records, run it inside exclusive(), or the rollback puts
+ * their changes back too.
+ */
+async function transactionAsync(fn) {
+  const journal = { writes: [], callbacks: [] };
+
+  let result;
+  try {
+    result = await journals.run(journal, fn);
+  } catch (err) {
+    rollBack(journal);
+    throw err;
+  }
+
+  settle(journal);
+  return result;
+}
+
+// Let waiters in, in order, as far as the lock allows
+function grantWriteLock() {
+  while (writeLock.queue.length > 0 && !writeLock.exclusive) {
+    const waiter = writeLock.queue[0];
+    if (waiter.exclusive && writeLock.shared > 0) {
+      return;
+    }
+    writeLock.queue.shift();
+    if (waiter.exclusive) {
+      writeLock.exclusive = true;
+    } else {
+      writeLock.shared++;
+    }
+    waiter.resolve();
+  }
+}
+
+function acquireWriteLock(exclusive) {
+  return new Promise(resolve => {
+    writeLock.queue.push({ exclusive, resolve });
+    grantWriteLock();
+  });
+}
+
+/**
+ * Take the write lock shared, as every writing request does (see
+ * middleware/writeLock.js): any number of holders at once, but none while
+ * exclusive() runs. Resolves with a function that releases it (calling it
+ * again does nothing). Inside exclusive() it resolves at once.
+ */
+async function lockShared() {
+  if (exclusiveRuns.getStore()) {
+    return () => {};
+  }
+
+  await acquireWriteLock(false);
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      writeLock.shared--;
+      grantWriteLock();
+    }
+  };
+}
+
+/**
+ * Run async fn holding the write lock alone: it starts once every shared
+ * holder is done, and new ones wait until it has finished. Transactional
+ * batches use it, so rolling one back cannot undo other requests' writes
+ * to the same records.
+ */
+async function exclusive(fn) {
+  if (exclusiveRuns.getStore()) {
+    return fn();
+  }
+
+  await acquireWriteLock(true);
+  try {
+    return await exclusiveRuns.run(true, fn);
+  } finally {
+    writeLock.exclusive = false;
+    grantWriteLock();
+  }
+}
+
+/**
+ * Run fn once the current transaction (and every one around it) has
+ * committed; drop it if any of them rolls back. Outside a transaction fn
+ * runs right away. Use it for side effects that must not announce writes
+ * which may still be undone, such as publishing events.
+ */
+function afterCommit(fn) {
+  commit([fn]);
+}
+
+/**
+ * Call listener({ repository, id, before, after }) after every insert,
+ * update and remove in any repository (before is null for inserts, after
+ * is null for removes). Rollbacks are not reported, so listeners that
+ * record writes should do it through afterCommit(). Returns a function
+ * that removes the listener.
+ */
+function onWrite(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+function driverName() {
+  return driver.name;
+}
+
+module.exports = {
+  repository,
+  useDriver,
+  transaction,
+  transactionAsync,
+  afterCommit,
+  lockShared,
+  exclusive,
+  onWrite,
+  driverName,
+  createMemoryDriver,
+  createFileDriver
+};
@@ -0,0 +1,25 @@
+/**
+ * Memory storage driver
+ * Keeps every collection in a Map, so data lives only as long as the process.
+ *
+ * This is the default driver and the one tests should use: each call to
+ * createMemoryDriver() returns a brand new, empty store.
+ */
+
+function createMemoryDriver() {
+  const collections = new Map();
+
+  return {
+    name: 'memory',
+
+    read(collection) {
+      return collections.has(collection) ? collections.get(collection) : null;
+    },
+
+    write(collection, records) {
+      collections.set(collection, records);
+    }
+  };
+}
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,152 @@
+/**
+ * Repository
+ * A small collection API (find, insert, update, remove) on top of a storage
+ * driver. Routers talk to repositories instead of keeping their own arrays.
+ *
+ * Records are loaded from the driver on first use and written back after
+ * every change. Everything handed out is a copy, so mutating a returned
+ * record never changes the store behind the repository's back - call
+ * update() instead.
+ *
+ * Every record carries a version, starting at 1 and bumped on each update,
+ * for optimistic concurrency (ETag / If-Match, see middleware/conditional.js).
+ */
+
+const clone = value => structuredClone(value);
+
+/**
+ * onWrite(repo, id, before, after) is called after every insert, update
+ * and remove with copies of the record as it was and as it is now (null
+ * before an insert and after a remove), so the store can undo writes (see
+ * transaction in store/index.js) and tell others about them.
+ */
+function createRepository(name, driver, seed = [], { onWrite = () => {} } = {}) {
+  let records = null;
+
+  // Load lazily so swapping drivers (e.g. in tests) takes effect on next use
+  function load() {
+    if (records === null) {
+      records = driver.read(name);
+      if (records === null) {
+        records = clone(seed);
+        driver.write(name, records);
+      }
+      // Records written before versioning existed start at version 1
+      records = records.map(r => (r.version ? r : { ...r, version: 1 }));
+    }
+    return records;
+  }
+
+  function save() {
+    driver.write(name, records);
+  }
+
+  // A loop, not Math.max(...ids): spreading a large collection overflows the stack
+  function nextId() {
+    let max = 0;
+    for (const record of load()) {
+      if (record.id > max) max = record.id;
+    }
+    return max + 1;
+  }
+
+  return {
+    name,
+
+    /**
+     * Get all records, optionally filtered by a predicate
+     */
+    find(predicate = () => true) {
+      return load().filter(predicate).map(clone);
+    },
+
+    /**
+     * Get the first record matching a predicate (or null)
+     */
+    findOne(predicate) {
+      const record = load().find(predicate);
+      return record ? clone(record) : null;
+    },
+
+    /**
+     * Get a record by ID (or null)
+     */
+    findById(id) {
+      return this.findOne(r => r.id === id);
+    },
+
+    count(predicate = () => true) {
+      return load().filter(predicate).length;
+    },
+
+    /**
+     * Insert a new record, assigning the next free ID and version 1
+     */
+    insert(data) {
+      const record = { id: nextId(), ...clone(data), version: 1 };
+      load().push(record);
+      save();
+      onWrite(this, record.id, null, clone(record));
+      return clone(record);
+    },
+
+    /**
+     * Merge changes into an existing record and bump its version
+     * Returns the updated record, or null if it does not exist
+     */
+    update(id, changes) {
+      const index = load().findIndex(r => r.id === id);
+      if (index === -1) {
+        return null;
+      }
+
+      const before = records[index];
+      records[index] = { ...before, ...clone(changes), id, version: before.version + 1 };
+      save();
+      onWrite(this, id, clone(before), clone(records[index]));
+      return clone(records[index]);
+    },
+
+    /**
+     * Delete a record
+     * Returns true if a record was removed
+     */
+    remove(id) {
+      const index = load().findIndex(r => r.id === id);
+      if (index === -1) {
+        return false;
+      }
+
+      const [before] = records.splice(index, 1);
+      save();
+      onWrite(this, id, clone(before), null);
+      return true;
+    },
+
+    /**
+     * Undo a write: put a record back as it was (before = null removes it)
+     */
+    revert(id, before) {
+      const index = load().findIndex(r => r.id === id);
+      if (before === null) {
+        if (index !== -1) records.splice(index, 1);
+      } else if (index !== -1) {
+        records[index] = clone(before);
+      } else {
+        records.push(clone(before));
+        records.sort((a, b) => a.id - b.id);
+      }
+      save();
+    },
+
+    /**
+     * Point the repository at a different driver and drop cached records
+     */
+    attach(newDriver) {
+      driver = newDriver;
+      records = null;
+    }
+  };
+}
+
+module.exports = { createRepository };
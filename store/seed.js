@@ -0,0 +1,52 @@
+/**
+ * Seed data
+ * Loaded into a collection the first time it is used with an empty driver.
+ *
+ * Both seed users have the password 'password123'.
+ */
+
+module.exports = {
+  items: [
+    { id: 1, name: 'Learn Express', completed: false },
+    { id: 2, name: 'Build an API', completed: false }
+  ],
+
+  users: [
+    {
+      id: 1,
+      username: 'alice',
+      email: 'alice@example.com',
+      role: 'admin',
+      passwordHash: 'scrypt$dj740HAM1L6nhA3qu2YZmg==$1KjLZ6x5VHwfzxWraWEkpcCYlHKZnF2FNR9+jgx1K8R8lMgXJOrRjDTautHcrFb6ekPWCbmD2FzmlixEw2zvKA==',
+      createdAt: '2024-01-01T00:00:00.000Z'
+    },
+    {
+      id: 2,
+      username: 'bob',
+      email: 'bob@example.com',
+      role: 'user',
+      passwordHash: 'scrypt$mwI66YwNgJ+nt96DOcs7SQ==$J0WDm7G2S0kYgJWsf34KPi0C90HMetGcUuPz/eWIu2jcYCQgl2gCOLSnGK1OptkAyWoiLnK1o88Ct2rwmbdtKg==',
+      createdAt: '2024-01-02T00:00:00.000Z'
+    }
+  ],
+
+  products: [
+    { id: 1, name: 'Laptop', price: 999.99, category: 'electronics', stock: 50, createdAt: '2024-01-01T00:00:00.000Z' },
+    { id: 2, name: 'Desk Chair', price: 199.99, category: 'furniture', stock: 120, createdAt: '2024-01-02T00:00:00.000Z' },
+    { id: 3, name: 'Coffee Mug', price: 12.99, category: 'kitchenware', stock: 200, createdAt: '2024-01-03T00:00:00.000Z' }
+  ],
+
+  orders: [
+    {
+      id: 1,
+      userId: 1,
+      items: [
+        { productId: 1, name: 'Laptop', quantity: 1, price: 999.99, lineTotal: 999.99 }
+      ],
+      status: 'completed',
+      subtotal: 999.99,
+      total: 999.99,
+      createdAt: '2024-01-05T00:00:00.000Z'
+    }
+  ]
+};
@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+const store = require('../store');
+const audit = require('../services/audit');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('audit log', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('purges entries older than the retention period', async () => {
+    const entries = store.repository('auditLog');
+    const old = new Date(Date.now() - (audit.RETENTION_DAYS + 1) * DAY_MS).toISOString();
+    entries.insert({ at: old, resource: 'items', resourceId: 1, action: 'update', changes: {} });
+    await request('PUT', '/items/1', { token: alice, body: { completed: true } });
+
+    assert.equal(audit.purgeExpired(), 1);
+
+    const res = await request('GET', '/audit', { token: alice });
+    assert.deepEqual(res.body.data.map(entry => entry.resource), ['items']);
+    assert.notEqual(res.body.data[0].at, old);
+  });
+});
+
+describe('audit diffs', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  const entriesFor = async (resource, resourceId) => {
+    const res = await request('GET', `/audit?filter[resource][eq]=${resource}&filter[resourceId][eq]=${resourceId}`, {
+      token: alice
+    });
+    return res.body.data;
+  };
+
+  it('records changed fields with the actor and request ID', async () => {
+    await request('PUT', '/products/3', {
+      token: alice,
+      headers: { 'X-Request-Id': 'audit-test-1' },
+      body: { name: 'Coffee Mug', price: 14.99, category: 'kitchenware', stock: 200 }
+    });
+
+    const [entry] = await entriesFor('products', 3);
+    assert.equal(entry.action, 'update');
+    assert.deepEqual(entry.changes, { price: { from: 12.99, to: 14.99 } });
+    assert.equal(entry.actorId, 1);
+    assert.equal(entry.actor.username, 'alice');
+    assert.equal(entry.requestId, 'audit-test-1');
+  });
+
+  it('lists every field of a create and redacts password hashes', async () => {
+    const { body: user } = await request('POST', '/users', {
+      token: alice,
+      body: { username: 'carol', email: 'carol@example.com', password: 'password123' }
+    });
+
+    const [entry] = await entriesFor('users', user.id);
+    assert.equal(entry.action, 'create');
+    assert.deepEqual(entry.changes.username, { from: null, to: 'carol' });
+    assert.deepEqual(entry.changes.email, { from: null, to: 'carol@example.com' });
+    assert.equal(entry.changes.passwordHash, '[REDACTED]');
+    assert.doesNotMatch(JSON.stringify(entry), /scrypt\$/);
+  });
+
+  it('leaves no entry for rolled-back writes', async () => {
+    const res = await request('POST', '/batch', {
+      token: alice,
+      body: {
+        transactional: true,
+        operations: [
+          { method: 'PATCH', path: '/products/3/stock', body: { amount: -5 } },
+          { method: 'POST', path: '/orders', body: { userId: 1, items: [{ productId: 3, quantity: 1 }] } },
+          { method: 'POST', path: '/orders', body: { userId: 1, items: [{ productId: 1, quantity: 999 }] } }
+        ]
+      }
+    });
+    assert.equal(res.body.rolledBack, true);
+
+    const all = await request('GET', '/audit', { token: alice });
+    assert.deepEqual(all.body.data, []);
+  });
+});
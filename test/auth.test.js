@@ -0,0 +1,32 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+const store = require('../store');
+
+const sessions = store.repository('sessions');
+
+describe('login and sessions', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetStore);
+
+  it('rejects unknown usernames like wrong passwords', async () => {
+    for (const username of ['alice', 'nobody']) {
+      const res = await request('POST', '/auth/login', { body: { username, password: 'wrong-password' } });
+      assert.equal(res.status, 401, username);
+    }
+  });
+
+  it('purges revoked and expired sessions on the next login', async () => {
+    const token = await login('alice');
+    await request('POST', '/auth/logout', { token });
+
+    await login('bob');
+    const [bobSession] = sessions.find(s => s.userId === 2);
+    sessions.update(bobSession.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await login('alice');
+
+    assert.deepEqual(sessions.find().map(s => s.userId), [1]);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('POST /batch', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('rolls back every earlier write when a transactional batch fails', async () => {
+    const res = await request('POST', '/batch', {
+      token: alice,
+      body: {
+        transactional: true,
+        operations: [
+          { method: 'PATCH', path: '/products/1/stock', body: { amount: -10 } },
+          { method: 'POST', path: '/orders', body: { userId: 1, items: [{ productId: 3, quantity: 5 }] } },
+          { method: 'POST', path: '/orders', body: { userId: 1, items: [{ productId: 3, quantity: 999 }] } },
+          { method: 'GET', path: '/products/1' }
+        ]
+      }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rolledBack, true);
+    assert.deepEqual(res.body.results.map(result => result.status), [200, 201, 409, 424]);
+
+    assert.equal((await request('GET', '/products/1')).body.stock, 50);
+    assert.equal((await request('GET', '/products/3')).body.stock, 200);
+    const orders = await request('GET', '/orders', { token: alice });
+    assert.deepEqual(orders.body.data.map(order => order.id), [1]);
+  });
+
+  it('keeps writes made by other requests while a transactional batch runs', async () => {
+    const batch = request('POST', '/batch', {
+      token: alice,
+      body: {
+        transactional: true,
+        operations: [
+          { method: 'POST', path: '/orders', body: { userId: 1, items: [{ productId: 1, quantity: 2 }] } },
+          // Password hashing keeps the batch busy while the order below arrives
+          { method: 'POST', path: '/users', body: { username: 'carol', email: 'carol@example.com', password: 'password123' } },
+          { method: 'GET', path: '/products/999' }
+        ]
+      }
+    });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const order = request('POST', '/orders', {
+      token: alice,
+      body: { userId: 1, items: [{ productId: 1, quantity: 3 }] }
+    });
+
+    const [batchRes, orderRes] = await Promise.all([batch, order]);
+
+    assert.equal(batchRes.body.rolledBack, true);
+    assert.equal(orderRes.status, 201);
+    assert.equal((await request('GET', '/products/1')).body.stock, 47);
+  });
+
+  it('keeps the writes of a non-transactional batch that partly fails', async () => {
+    const res = await request('POST', '/batch', {
+      token: alice,
+      body: {
+        operations: [
+          { method: 'PATCH', path: '/products/1/stock', body: { amount: -10 } },
+          { method: 'GET', path: '/products/999' }
+        ]
+      }
+    });
+
+    assert.equal(res.body.rolledBack, false);
+    assert.deepEqual(res.body.results.map(result => result.status), [200, 404]);
+    assert.equal((await request('GET', '/products/1')).body.stock, 40);
+  });
+
+  it('rejects /batch and /events however they are spelled', async () => {
+    for (const path of ['/events', '/EVENTS', '/Events?type=order.created', '/%65vents', '//events', '/Batch']) {
+      const res = await request('POST', '/batch', {
+        token: alice,
+        body: { operations: [{ method: 'GET', path }] }
+      });
+
+      assert.equal(res.status, 400, path);
+      assert.equal(res.body.errors[0].path, 'body.operations[0].path');
+    }
+  });
+});
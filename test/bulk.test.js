@@ -0,0 +1,28 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('CSV export', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('prefixes cells that would run as spreadsheet formulas', async () => {
+    await request('POST', '/products', {
+      token: alice,
+      body: { name: '=HYPERLINK("http://evil.example","x")', price: 1, category: '@home', stock: 3 }
+    });
+
+    const res = await request('GET', '/products/export?fields=name,category,stock', { token: alice });
+
+    assert.equal(res.status, 200);
+    const lines = res.body.trim().split('\r\n');
+    assert.ok(lines.includes('"\'=HYPERLINK(""http://evil.example"",""x"")",\'@home,3'));
+    assert.ok(lines.includes('Laptop,electronics,50'));
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('carts', () => {
+  let alice;
+  let bob;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+    bob = await login('bob');
+    await request('POST', '/carts/2/lines', { token: bob, body: { productId: 3, quantity: 2 } });
+  });
+
+  it('changes the ETag when a price changes, with the cart untouched', async () => {
+    const first = await request('GET', '/carts/2', { token: bob });
+    const etag = first.headers.get('etag');
+
+    const unchanged = await request('GET', '/carts/2', { token: bob, headers: { 'If-None-Match': etag } });
+    assert.equal(unchanged.status, 304);
+
+    await request('PUT', '/products/3', {
+      token: alice,
+      body: { name: 'Coffee Mug', price: 9.99, category: 'kitchen', stock: 200 }
+    });
+
+    const repriced = await request('GET', '/carts/2', { token: bob, headers: { 'If-None-Match': etag } });
+    assert.equal(repriced.status, 200);
+    assert.equal(repriced.body.total, 19.98);
+  });
+
+  it('checks If-Match on writes against the cart version', async () => {
+    const { body: cart } = await request('GET', '/carts/2', { token: bob });
+
+    const stale = await request('POST', '/carts/2/checkout', {
+      token: bob,
+      headers: { 'If-Match': `"${cart.version + 1}"` }
+    });
+    assert.equal(stale.status, 412);
+
+    const placed = await request('POST', '/carts/2/checkout', {
+      token: bob,
+      headers: { 'If-Match': `"${cart.version}"` }
+    });
+    assert.equal(placed.status, 201);
+    assert.equal(placed.body.total, 25.98);
+  });
+});
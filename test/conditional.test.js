@@ -0,0 +1,47 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+const chair = { name: 'Desk Chair', price: 149.99, category: 'furniture', stock: 120 };
+
+describe('ETag and If-Match', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('sends the record version as ETag and answers If-None-Match with 304', async () => {
+    const first = await request('GET', '/products/2');
+    assert.equal(first.headers.get('etag'), '"1"');
+
+    const again = await request('GET', '/products/2', { headers: { 'If-None-Match': '"1"' } });
+    assert.equal(again.status, 304);
+  });
+
+  it('updates when If-Match is current and bumps the ETag', async () => {
+    const res = await request('PUT', '/products/2', { token: alice, body: chair, headers: { 'If-Match': '"1"' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('etag'), '"2"');
+    assert.equal(res.body.price, 149.99);
+  });
+
+  it('rejects a stale If-Match with 412 and leaves the record alone', async () => {
+    await request('PUT', '/products/2', { token: alice, body: chair });
+
+    const res = await request('PUT', '/products/2', {
+      token: alice,
+      body: { ...chair, price: 1 },
+      headers: { 'If-Match': '"1"' }
+    });
+
+    assert.equal(res.status, 412);
+    assert.equal(res.body.code, 'etag_mismatch');
+    assert.equal(res.body.etag, '"2"');
+    assert.equal((await request('GET', '/products/2')).body.price, 149.99);
+  });
+});
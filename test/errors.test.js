@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request } = require('./helpers');
+const errorHandler = require('../middleware/errorHandler');
+
+describe('error responses', () => {
+  before(startServer);
+  after(stopServer);
+
+  it('answers unknown routes with an RFC 7807 problem document', async () => {
+    const res = await request('GET', '/nowhere?x=1');
+
+    assert.equal(res.status, 404);
+    assert.match(res.headers.get('content-type'), /^application\/problem\+json/);
+    assert.deepEqual(
+      { ...res.body, requestId: typeof res.body.requestId },
+      {
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Route not found',
+        instance: '/nowhere?x=1',
+        code: 'route_not_found',
+        requestId: 'string'
+      }
+    );
+  });
+
+  it('turns body parser failures into 400 malformed_json', async () => {
+    const res = await request('POST', '/items', { body: '{"name": ' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'malformed_json');
+  });
+
+  it('asks for credentials on 401', async () => {
+    const res = await request('GET', '/auth/me');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+    assert.equal(res.body.code, 'unauthorized');
+  });
+
+  it('hides the message of unexpected errors in production', () => {
+    const sent = {};
+    const res = {
+      headersSent: false,
+      set: () => res,
+      status: status => (sent.status = status, res),
+      type: type => (sent.type = type, res),
+      send: body => (sent.body = JSON.parse(body), res)
+    };
+    const environment = process.env.NODE_ENV;
+    const stderr = process.stderr.write;
+    process.env.NODE_ENV = 'production';
+    process.stderr.write = () => true;
+    try {
+      errorHandler(new Error('database password is hunter2'), { id: 'req-1', originalUrl: '/orders' }, res, () => {});
+    } finally {
+      process.env.NODE_ENV = environment;
+      process.stderr.write = stderr;
+    }
+
+    assert.equal(sent.status, 500);
+    assert.equal(sent.body.code, 'internal_error');
+    assert.equal(sent.body.detail, 'An unexpected error occurred');
+    assert.equal(sent.body.stack, undefined);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, openStream, login } = require('./helpers');
+
+describe('GET /events', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('opens with an events token in the URL, for EventSource', async () => {
+    const issued = await request('POST', '/events/token', { token: alice });
+    assert.equal(issued.status, 200);
+    assert.equal(issued.body.expiresIn, 60);
+
+    const stream = await openStream(`/events?token=${issued.body.token}&lastEventId=0`);
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+  });
+
+  it('rejects bad tokens, and events tokens anywhere else', async () => {
+    const { body: { token } } = await request('POST', '/events/token', { token: alice });
+
+    assert.equal((await openStream('/events?token=nope')).status, 401);
+    assert.equal((await request('GET', '/users', { token })).status, 401);
+    assert.equal((await openStream(`/events?token=${alice}`)).status, 401);
+  });
+
+  it('issues events tokens to admins only', async () => {
+    const res = await request('POST', '/events/token', { token: await login('bob') });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Test helpers
+ * Starts the app on a random port and talks to it over HTTP, so tests go
+ * through the same middleware as real clients. resetStore() swaps in a
+ * fresh memory store (seed data included) between tests.
+ *
+ * Usage:
+ *   const { startServer, resetStore, request, login } = require('./helpers');
+ *
+ *   before(startServer);
+ *   after(stopServer);
+ *   beforeEach(resetStore);
+ *
+ *   const token = await login('alice');
+ *   const res = await request('POST', '/products', { token, body: { ... } });
+ *   assert.equal(res.status, 201);
+ */
+
+// Before the app is loaded: keep request logs out of the test output
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.STORE_DRIVER = 'memory';
+
+const store = require('../store');
+const productSearch = require('../services/productSearch');
+const { resetRateLimits } = require('../middleware/rateLimit');
+const app = require('../index');
+
+let server = null;
+let baseUrl = null;
+
+function startServer() {
+  return new Promise(resolve => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+function stopServer() {
+  return new Promise(resolve => server.close(resolve));
+}
+
+function resetStore() {
+  store.useDriver(store.createMemoryDriver());
+  productSearch.rebuild();
+  resetRateLimits();
+}
+
+/**
+ * Send a request; resolves with { status, headers, body } (body parsed as
+ * JSON when it is JSON). A string body is sent as it is, still labeled JSON.
+ */
+async function request(method, path, { token, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      // fetch sends Cache-Control: no-cache with conditional requests unless
+      // told otherwise, and Express never answers those with 304
+      ...(headers['If-None-Match'] && { 'Cache-Control': 'max-age=0' }),
+      ...headers
+    },
+    body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+  });
+
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: isJson && text ? JSON.parse(text) : text
+  };
+}
+
+/**
+ * Open a stream (e.g. GET /events); resolves with { status, headers } once
+ * the response starts, then closes the connection
+ */
+async function openStream(path, { token } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    signal: controller.signal
+  });
+  controller.abort();
+  return { status: response.status, headers: response.headers };
+}
+
+/**
+ * Access token of a seed user (alice: admin, bob: user)
+ */
+async function login(username) {
+  const res = await request('POST', '/auth/login', { body: { username, password: 'password123' } });
+  if (res.status !== 200) {
+    throw new Error(`Login as ${username} failed with ${res.status}`);
+  }
+  return res.body.accessToken;
+}
+
+module.exports = { startServer, stopServer, resetStore, request, openStream, login };
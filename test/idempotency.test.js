@@ -0,0 +1,56 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('Idempotency-Key', () => {
+  let bob;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    bob = await login('bob');
+  });
+
+  const placeOrder = (key, quantity = 1) => request('POST', '/orders', {
+    token: bob,
+    body: { userId: 2, items: [{ productId: 3, quantity }] },
+    headers: { 'Idempotency-Key': key }
+  });
+
+  it('replays the first response instead of placing a second order', async () => {
+    const first = await placeOrder('order-1');
+    const retry = await placeOrder('order-1');
+
+    assert.equal(first.status, 201);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    const orders = await request('GET', '/orders', { token: bob });
+    assert.equal(orders.body.data.length, 1);
+    assert.equal((await request('GET', '/products/3')).body.stock, 199);
+  });
+
+  it('rejects a reused key with a different body (422)', async () => {
+    await placeOrder('order-1');
+    const res = await placeOrder('order-1', 2);
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'idempotency_key_reused');
+  });
+
+  it('answers 409 while the first request with the key is still running', async () => {
+    const alice = await login('alice');
+    const createUser = () => request('POST', '/users', {
+      token: alice,
+      body: { username: 'carol', email: 'carol@example.com', password: 'password123' },
+      headers: { 'Idempotency-Key': 'user-1' }
+    });
+
+    // Password hashing keeps the first request in flight while the second arrives
+    const statuses = (await Promise.all([createUser(), createUser()])).map(res => res.status).sort();
+
+    assert.deepEqual(statuses, [201, 409]);
+  });
+});
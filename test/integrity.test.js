@@ -0,0 +1,50 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('referential integrity', () => {
+  let alice;
+  let orderId;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+    const placed = await request('POST', '/orders', {
+      token: alice,
+      body: { userId: 2, items: [{ productId: 3, quantity: 1 }] }
+    });
+    orderId = placed.body.id;
+  });
+
+  it('keeps products and users that open orders reference (409)', async () => {
+    const product = await request('DELETE', '/products/3', { token: alice });
+    assert.equal(product.status, 409);
+    assert.equal(product.body.code, 'referenced_by_open_orders');
+    assert.deepEqual(product.body.orderIds, [orderId]);
+
+    const user = await request('DELETE', '/users/2', { token: alice });
+    assert.equal(user.status, 409);
+    assert.deepEqual(user.body.orderIds, [orderId]);
+
+    assert.equal((await request('GET', '/products/3')).status, 200);
+  });
+
+  it('lets them go once the orders are closed', async () => {
+    await request('DELETE', `/orders/${orderId}`, { token: alice });
+
+    assert.equal((await request('DELETE', '/products/3', { token: alice })).status, 204);
+    assert.equal((await request('DELETE', '/users/2', { token: alice })).status, 204);
+  });
+
+  it('rejects orders for unknown users with 422', async () => {
+    const res = await request('POST', '/orders', {
+      token: alice,
+      body: { userId: 99, items: [{ productId: 3, quantity: 1 }] }
+    });
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'unknown_user');
+  });
+});
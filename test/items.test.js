@@ -0,0 +1,43 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('items', () => {
+  before(startServer);
+  after(stopServer);
+  beforeEach(resetStore);
+
+  it('validates the body of POST and PUT', async () => {
+    const missing = await request('POST', '/items', { body: {} });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.errors[0].path, 'body.name');
+
+    const unknown = await request('POST', '/items', { body: { name: 'Write docs', owner: 'bob' } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].code, 'unknown');
+
+    const inherited = await request('POST', '/items', { body: { name: 'Write docs', constructor: 1 } });
+    assert.equal(inherited.status, 400);
+    assert.equal(inherited.body.errors[0].path, 'body.constructor');
+
+    const wrongType = await request('PUT', '/items/1', { body: { completed: 'yes' } });
+    assert.equal(wrongType.status, 400);
+    assert.equal(wrongType.body.errors[0].path, 'body.completed');
+
+    const created = await request('POST', '/items', { body: { name: 'Write docs', completed: true } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.completed, true);
+  });
+
+  it('lets only admins delete items, as only admins restore them', async () => {
+    const anonymous = await request('DELETE', '/items/1');
+    assert.equal(anonymous.status, 401);
+
+    const bob = await request('DELETE', '/items/1', { token: await login('bob') });
+    assert.equal(bob.status, 403);
+
+    const alice = await request('DELETE', '/items/1', { token: await login('alice') });
+    assert.equal(alice.status, 204);
+    assert.equal((await request('GET', '/items/1')).status, 404);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('list queries', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  const list = query => request('GET', `/products?${query}`, { token: alice });
+
+  it('pages by cursor in sort order', async () => {
+    const first = await list('sort=-price&limit=2');
+
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.data.map(product => product.id), [1, 2]);
+    assert.deepEqual(
+      { count: first.body.page.count, total: first.body.page.total, prevCursor: first.body.page.prevCursor },
+      { count: 2, total: 3, prevCursor: null }
+    );
+    assert.ok(first.body.links.next.includes(`cursor=${encodeURIComponent(first.body.page.nextCursor)}`));
+
+    // A record created ahead of the cursor does not shift the next page
+    await request('POST', '/products', {
+      token: alice,
+      body: { name: 'Monitor', price: 5000, category: 'electronics', stock: 5 }
+    });
+
+    const second = await request('GET', first.body.links.next, { token: alice });
+    assert.deepEqual(second.body.data.map(product => product.id), [3]);
+    assert.equal(second.body.page.nextCursor, null);
+    assert.equal(second.body.links.next, null);
+
+    const back = await request('GET', second.body.links.prev, { token: alice });
+    assert.deepEqual(back.body.data.map(product => product.id), [1, 2]);
+  });
+
+  it('rejects a garbled cursor or one issued for another sort', async () => {
+    const garbled = await list('cursor=not-a-cursor');
+    assert.equal(garbled.status, 400);
+    assert.equal(garbled.body.code, 'invalid_cursor');
+
+    const { body } = await list('sort=-price&limit=1');
+    const resorted = await list(`sort=name&limit=1&cursor=${encodeURIComponent(body.page.nextCursor)}`);
+    assert.equal(resorted.status, 400);
+    assert.equal(resorted.body.code, 'invalid_cursor');
+  });
+
+  it('returns only the requested fields', async () => {
+    const res = await list('fields=id,name&sort=name');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data[0], { id: 3, name: 'Coffee Mug' });
+  });
+
+  it('bounds the limit and the sortable fields', async () => {
+    assert.equal((await list('limit=101')).status, 400);
+    assert.equal((await list('limit=0')).status, 400);
+    assert.equal((await list('sort=category')).status, 400);
+    assert.equal((await list('fields=passwordHash')).status, 400);
+  });
+});
+
+describe('list filters', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  const ids = async query => {
+    const res = await request('GET', `/products?sort=price&${query}`, { token: alice });
+    assert.equal(res.status, 200);
+    return res.body.data.map(product => product.id);
+  };
+
+  it('combines number, string and date operators', async () => {
+    assert.deepEqual(await ids('filter[price][gte]=199.99'), [2, 1]);
+    assert.deepEqual(await ids('filter[price][lt]=500&filter[stock][gt]=150'), [3]);
+    assert.deepEqual(await ids('filter[category][in]=furniture,kitchenware'), [3, 2]);
+    assert.deepEqual(await ids('filter[category][nin]=furniture'), [3, 1]);
+    assert.deepEqual(await ids('filter[name][contains]=MUG'), [3]);
+    assert.deepEqual(await ids('filter[createdAt][gte]=2024-01-02&filter[createdAt][lt]=2024-01-03'), [2]);
+    assert.deepEqual(await ids('filter[createdAt][eq]=2024-01-01T00:00:00Z'), [1]);
+  });
+
+  it('keeps the filter total across pages', async () => {
+    const res = await request('GET', '/products?sort=price&limit=1&filter[price][gt]=100', { token: alice });
+
+    assert.deepEqual(res.body.data.map(product => product.id), [2]);
+    assert.equal(res.body.page.total, 2);
+
+    const next = await request('GET', res.body.links.next, { token: alice });
+    assert.deepEqual(next.body.data.map(product => product.id), [1]);
+    assert.equal(next.body.page.nextCursor, null);
+  });
+
+  it('rejects unknown fields, unknown operators and mistyped values', async () => {
+    for (const query of [
+      'filter[secret][eq]=1',
+      'filter[price][contains]=9',
+      'filter[createdAt][in]=2024-01-01',
+      'filter[price][gte]=cheap',
+      'filter[createdAt][gt]=yesterday'
+    ]) {
+      const res = await request('GET', `/products?${query}`, { token: alice });
+      assert.equal(res.status, 400, query);
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Before the app is loaded: log every request with its body, as JSON
+process.env.LOG_LEVEL = 'debug';
+process.env.LOG_FORMAT = 'json';
+
+const { startServer, stopServer, resetStore, request, openStream, login } = require('./helpers');
+
+// The JSON log lines written while fn runs
+async function captureLogs(fn) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = chunk => {
+    lines.push(...String(chunk).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+    return true;
+  };
+  try {
+    await fn();
+    // The line is written when the response has finished on the server
+    await new Promise(resolve => setTimeout(resolve, 20));
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines;
+}
+
+describe('request logs', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  it('writes one line per request, correlated by request ID', async () => {
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await request('GET', '/products/99', { headers: { 'X-Request-Id': 'trace-42' } });
+    });
+
+    assert.equal(res.headers.get('x-request-id'), 'trace-42');
+    assert.equal(lines.length, 1);
+    assert.deepEqual(
+      { level: lines[0].level, msg: lines[0].msg, requestId: lines[0].requestId, status: lines[0].status },
+      { level: 'warn', msg: 'GET /products/99', requestId: 'trace-42', status: 404 }
+    );
+    assert.equal(typeof lines[0].durationMs, 'number');
+  });
+
+  it('generates request IDs and redacts secrets in the logged body', async () => {
+    let res;
+    const lines = await captureLogs(async () => {
+      res = await request('POST', '/auth/login', { body: { username: 'bob', password: 'password123' } });
+    });
+
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].requestId, res.headers.get('x-request-id'));
+    assert.deepEqual(lines[0].body, { username: 'bob', password: '[REDACTED]' });
+    assert.ok(!JSON.stringify(lines).includes('password123'));
+  });
+
+  it('redacts the events token from the logged URL', async () => {
+    const { body: { token } } = await request('POST', '/events/token', { token: alice });
+
+    const lines = await captureLogs(() => openStream(`/events?resource=order&token=${token}`));
+
+    const line = lines.find(entry => entry.path && entry.path.startsWith('/events'));
+    assert.equal(line.path, '/events?resource=order&token=[REDACTED]');
+    assert.equal(line.msg, 'GET /events?resource=order&token=[REDACTED]');
+    assert.ok(!JSON.stringify(lines).includes(token));
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, request } = require('./helpers');
+
+describe('OpenAPI document', () => {
+  let spec;
+
+  before(async () => {
+    await startServer();
+    spec = (await request('GET', '/openapi.json')).body;
+  });
+  after(stopServer);
+
+  it('lists every route with Express params as {name}', () => {
+    assert.match(spec.openapi, /^3\./);
+    assert.ok(spec.paths['/products/{id}'].get);
+    assert.ok(spec.paths['/products/{id}/variants/{variantId}/stock'].patch);
+    assert.deepEqual(spec.paths['/products/{id}'].get.parameters[0], {
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: { type: 'integer', minimum: 1 }
+    });
+  });
+
+  it('turns validateRequest body rules into a JSON schema', () => {
+    const { schema } = spec.paths['/orders'].post.requestBody.content['application/json'];
+
+    assert.deepEqual(schema.required, ['userId', 'items']);
+    assert.equal(schema.additionalProperties, false);
+    assert.deepEqual(schema.properties.items.items.required, ['productId', 'quantity']);
+    assert.equal(schema.properties.items.items.properties.quantity.minimum, 1);
+  });
+
+  it('documents auth, idempotency and rate limits', () => {
+    const operation = spec.paths['/orders'].post;
+
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.ok(operation.responses['403']);
+    assert.ok(operation.responses['429']);
+    assert.ok(operation.parameters.some(param => param.name === 'Idempotency-Key'));
+    assert.equal(spec.paths['/products'].get.security, undefined);
+  });
+
+  it('serves the interactive docs page', async () => {
+    const res = await request('GET', '/docs');
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/html/);
+  });
+});
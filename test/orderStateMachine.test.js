@@ -0,0 +1,61 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+const store = require('../store');
+const orderStateMachine = require('../services/orderStateMachine');
+
+describe('order state machine', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  const setStatus = (id, status, reason) =>
+    request('PATCH', `/orders/${id}/status`, { token: alice, body: { status, ...(reason && { reason }) } });
+
+  it('records every transition in the history', async () => {
+    const placed = await request('POST', '/orders', {
+      token: alice,
+      body: { userId: 2, items: [{ productId: 3, quantity: 1 }] }
+    });
+
+    const res = await setStatus(placed.body.id, 'processing', 'Paid');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'processing');
+    assert.deepEqual(
+      res.body.history.map(({ from, to, reason, actor }) => ({ from, to, reason, actor: actor && actor.username })),
+      [
+        { from: null, to: 'pending', reason: 'Order placed', actor: 'alice' },
+        { from: 'pending', to: 'processing', reason: 'Paid', actor: 'alice' }
+      ]
+    );
+  });
+
+  it('rejects transitions the machine does not allow (409)', async () => {
+    const res = await setStatus(1, 'pending');
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'invalid_transition');
+    assert.equal(res.body.currentStatus, 'completed');
+    assert.deepEqual(res.body.allowedTransitions, ['refunded']);
+  });
+
+  it('rolls the transition back when a hook throws', () => {
+    const orders = store.repository('orders');
+    orderStateMachine.onEnter('refunded', (order, change) => {
+      if (change.reason === 'hook fails') {
+        throw new Error('hook failed');
+      }
+    });
+
+    assert.throws(() => orderStateMachine.transition(orders.findById(1), 'refunded', { reason: 'hook fails' }), /hook failed/);
+    assert.equal(orders.findById(1).status, 'completed');
+
+    assert.equal(orderStateMachine.transition(orders.findById(1), 'refunded').status, 'refunded');
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+const stockOf = async id => (await request('GET', `/products/${id}`)).body.stock;
+
+describe('orders and stock', () => {
+  let bob;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    bob = await login('bob');
+  });
+
+  it('reserves stock for every line item when an order is placed', async () => {
+    const res = await request('POST', '/orders', {
+      token: bob,
+      body: { userId: 2, items: [{ productId: 1, quantity: 2 }, { productId: 3, quantity: 5 }] }
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.total, 2064.93);
+    assert.equal(await stockOf(1), 48);
+    assert.equal(await stockOf(3), 195);
+  });
+
+  it('deducts nothing when one product is short (409)', async () => {
+    const res = await request('POST', '/orders', {
+      token: bob,
+      body: { userId: 2, items: [{ productId: 1, quantity: 2 }, { productId: 3, quantity: 500 }] }
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'insufficient_stock');
+    assert.deepEqual(res.body.shortages, [{ productId: 3, requested: 500, available: 200 }]);
+    assert.equal(await stockOf(1), 50);
+    assert.equal(await stockOf(3), 200);
+  });
+
+  it('rejects a userId string with 400 before checking ownership', async () => {
+    const res = await request('POST', '/orders', {
+      token: bob,
+      body: { userId: '2', items: [{ productId: 3, quantity: 1 }] }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, 'body.userId');
+  });
+
+  it('releases the stock when the order is cancelled', async () => {
+    const placed = await request('POST', '/orders', {
+      token: bob,
+      body: { userId: 2, items: [{ productId: 3, quantity: 4 }] }
+    });
+    assert.equal(await stockOf(3), 196);
+
+    const cancelled = await request('DELETE', `/orders/${placed.body.id}`, { token: bob });
+
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.order.status, 'cancelled');
+    assert.equal(await stockOf(3), 200);
+  });
+});
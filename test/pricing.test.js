@@ -0,0 +1,50 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('order pricing', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+
+  const placeOrder = items => request('POST', '/orders', { token: alice, body: { userId: 1, items } });
+
+  it('rejects client-supplied prices', async () => {
+    const res = await placeOrder([{ productId: 3, quantity: 1, price: 0.01 }]);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].path, 'body.items[0].price');
+  });
+
+  it('totals in cents and snapshots the price onto the order', async () => {
+    const { body: product } = await request('POST', '/products', {
+      token: alice,
+      body: { name: 'Sticker', price: 0.1, category: 'office', stock: 10 }
+    });
+
+    const res = await placeOrder([{ productId: product.id, quantity: 3 }, { productId: 3, quantity: 1 }]);
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.items.map(item => [item.price, item.lineTotal]), [[0.1, 0.3], [12.99, 12.99]]);
+    assert.equal(res.body.total, 13.29);
+
+    await request('PUT', `/products/${product.id}`, {
+      token: alice,
+      body: { name: 'Sticker', price: 5, category: 'office', stock: 7 }
+    });
+    const order = await request('GET', `/orders/${res.body.id}`, { token: alice });
+    assert.equal(order.body.total, 13.29);
+  });
+
+  it('rejects unknown products with 422', async () => {
+    const res = await placeOrder([{ productId: 9, quantity: 1 }]);
+
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, 'unknown_products');
+    assert.deepEqual(res.body.productIds, [9]);
+  });
+});
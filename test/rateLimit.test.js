@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Before the limiter is loaded: the issued keys
+process.env.API_KEYS = 'issued-key, other-key';
+
+const { rateLimit } = require('../middleware/rateLimit');
+
+// The store key the limiter counts a request under
+function keyFor({ apiKey, user }) {
+  let key;
+  const limiter = rateLimit({
+    name: 'test',
+    limit: 10,
+    keyBy: 'apiKey',
+    store: { update: (storeKey, fn) => { key = storeKey; return fn(undefined); } }
+  });
+  const req = { ip: '10.0.0.1', user, get: header => header === 'X-API-Key' ? apiKey : undefined };
+  const res = { set: () => res };
+
+  return new Promise(resolve => limiter(req, res, () => resolve(key)));
+}
+
+describe('rateLimit keyBy apiKey', () => {
+  it('counts issued keys per key', async () => {
+    assert.match(await keyFor({ apiKey: 'issued-key' }), /^test:key:[0-9a-f]{32}$/);
+    assert.notEqual(await keyFor({ apiKey: 'issued-key' }), await keyFor({ apiKey: 'other-key' }));
+  });
+
+  it('counts unknown keys as the user or address', async () => {
+    assert.equal(await keyFor({ apiKey: 'made-up' }), 'test:ip:10.0.0.1');
+    assert.equal(await keyFor({ apiKey: 'made-up', user: { id: 2 } }), 'test:user:2');
+    assert.equal(await keyFor({}), 'test:ip:10.0.0.1');
+  });
+});
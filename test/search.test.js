@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('product search', () => {
+  let alice;
+  const created = {};
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+
+    for (const [name, price, category] of [
+      ['Lamp', 40, 'lighting'],
+      ['Lampshade', 15, 'lighting'],
+      ['Limp Cable', 8, 'lighting'],
+      ['Bulb', 3, 'lamp']
+    ]) {
+      const res = await request('POST', '/products', { token: alice, body: { name, price, category, stock: 5 } });
+      created[name] = res.body.id;
+    }
+  });
+
+  const search = query => request('GET', `/products/search?${query}`, { token: alice });
+
+  it('ranks exact over prefix over typo matches, names over categories', async () => {
+    const res = await search('q=lamp');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.data.map(({ name, score }) => [name, score]),
+      [['Lamp', 2], ['Lampshade', 1.6], ['Limp Cable', 1.2], ['Bulb', 1]]
+    );
+  });
+
+  it('tolerates typos in longer words and requires every word', async () => {
+    const swapped = await search('q=chiar');
+    assert.deepEqual(swapped.body.data.map(product => product.id), [2]);
+
+    // Three-letter words have to match exactly or as a prefix
+    const short = await search('q=mgu');
+    assert.deepEqual(short.body.data, []);
+
+    const both = await search('q=desk%20chiar');
+    assert.deepEqual(both.body.data.map(product => product.id), [2]);
+    const partial = await search('q=desk%20lamp');
+    assert.deepEqual(partial.body.data, []);
+  });
+
+  it('counts facets over every match, before the filter', async () => {
+    const res = await search('q=lamp&filter[category][eq]=lighting&filter[price][gte]=10');
+
+    assert.deepEqual(res.body.data.map(product => product.name), ['Lamp', 'Lampshade']);
+    assert.deepEqual(res.body.facets.category, [
+      { value: 'lighting', count: 3 },
+      { value: 'lamp', count: 1 }
+    ]);
+    assert.deepEqual(res.body.facets.price.map(({ key, count }) => [key, count]), [
+      ['0-25', 3],
+      ['25-100', 1],
+      ['100-500', 0],
+      ['500+', 0]
+    ]);
+  });
+
+  it('drops deleted products and follows renames', async () => {
+    await request('DELETE', `/products/${created.Lampshade}`, { token: alice });
+    await request('PUT', `/products/${created.Bulb}`, {
+      token: alice,
+      body: { name: 'Bulb', price: 3, category: 'spares', stock: 5 }
+    });
+
+    const res = await search('q=lamp');
+    assert.deepEqual(res.body.data.map(product => product.name), ['Lamp', 'Limp Cable']);
+  });
+});
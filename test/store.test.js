@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { resetStore } = require('./helpers');
+const store = require('../store');
+const { createRepository } = require('../store/repository');
+
+describe('store transactions', () => {
+  beforeEach(resetStore);
+
+  it('rolls every repository back when transaction() throws', () => {
+    const products = store.repository('products');
+    const items = store.repository('items');
+
+    assert.throws(() => store.transaction(() => {
+      products.update(1, { stock: 0 });
+      items.insert({ name: 'Never saved' });
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.equal(products.findById(1).stock, 50);
+    assert.equal(items.find().length, 2);
+  });
+
+  it('undoes the writes of a failed transactionAsync(), across awaits', async () => {
+    const products = store.repository('products');
+
+    await assert.rejects(store.transactionAsync(async () => {
+      products.update(1, { stock: 1 });
+      await new Promise(resolve => setImmediate(resolve));
+      products.remove(3);
+      throw new Error('boom');
+    }), /boom/);
+
+    assert.equal(products.findById(1).stock, 50);
+    assert.equal(products.findById(3).name, 'Coffee Mug');
+  });
+
+  it('rewrites only the collections a failed transaction() wrote to', () => {
+    const driver = store.createMemoryDriver();
+    const written = [];
+    store.useDriver({ ...driver, write: (name, records) => (written.push(name), driver.write(name, records)) });
+
+    const products = store.repository('products');
+    const items = store.repository('items');
+    products.find();
+    items.find();
+    written.length = 0;
+
+    assert.throws(() => store.transaction(() => {
+      products.update(1, { stock: 0 });
+      throw new Error('boom');
+    }));
+
+    assert.deepEqual([...new Set(written)], ['products']);
+    assert.equal(products.findById(1).stock, 50);
+  });
+
+  it('runs afterCommit() callbacks only once the outermost transaction commits', () => {
+    const calls = [];
+
+    store.transaction(() => {
+      store.transaction(() => store.afterCommit(() => calls.push('inner')));
+      assert.deepEqual(calls, []);
+    });
+    assert.deepEqual(calls, ['inner']);
+
+    assert.throws(() => store.transaction(() => {
+      store.afterCommit(() => calls.push('rolled back'));
+      throw new Error('boom');
+    }));
+    assert.deepEqual(calls, ['inner']);
+  });
+});
+
+describe('repositories', () => {
+  it('inserts into large collections', () => {
+    const seed = Array.from({ length: 200000 }, (_, index) => ({ id: index + 1 }));
+    const repo = createRepository('large', store.createMemoryDriver(), seed);
+
+    assert.equal(repo.insert({ name: 'one more' }).id, 200001);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+
+describe('product variants', () => {
+  let alice;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+    await request('PATCH', '/products/2/stock', { token: alice, body: { amount: -120 } });
+    await request('POST', '/products/2/variants', {
+      token: alice,
+      body: { sku: 'CHAIR-BLK', attributes: { color: 'black' }, stock: 12 }
+    });
+  });
+
+  it('shows the variants\' total as product stock, also for filters', async () => {
+    assert.equal((await request('GET', '/products/2')).body.stock, 12);
+
+    const res = await request('GET', '/products?filter[stock][lt]=20');
+    assert.deepEqual(res.body.data.map(product => product.id), [2]);
+  });
+
+  it('changes the product ETag when a variant changes', async () => {
+    const before = await request('GET', '/products/2');
+    const etag = before.headers.get('etag');
+
+    await request('PATCH', '/products/2/variants/1/stock', { token: alice, body: { amount: -2 } });
+
+    const after = await request('GET', '/products/2', { headers: { 'If-None-Match': etag } });
+    assert.equal(after.status, 200);
+    assert.notEqual(after.headers.get('etag'), etag);
+    assert.equal(after.body.stock, 10);
+  });
+
+  it('rejects product-level stock changes (409)', async () => {
+    const patch = await request('PATCH', '/products/2/stock', { token: alice, body: { amount: 5 } });
+    assert.equal(patch.status, 409);
+    assert.equal(patch.body.code, 'stocked_per_variant');
+
+    const put = await request('PUT', '/products/2', {
+      token: alice,
+      body: { name: 'Desk Chair', price: 199.99, category: 'furniture', stock: 120 }
+    });
+    assert.equal(put.status, 409);
+    assert.equal((await request('GET', '/products/2')).body.stock, 12);
+  });
+
+  it('refuses the first variant while the product has stock or open orders', async () => {
+    const variant = { sku: 'MUG-RED', attributes: { color: 'red' }, stock: 5 };
+
+    const stocked = await request('POST', '/products/3/variants', { token: alice, body: variant });
+    assert.equal(stocked.status, 409);
+    assert.equal(stocked.body.code, 'product_has_stock');
+    assert.equal(stocked.body.stock, 200);
+
+    await request('POST', '/orders', { token: alice, body: { userId: 1, items: [{ productId: 3, quantity: 1 }] } });
+    await request('PATCH', '/products/3/stock', { token: alice, body: { amount: -199 } });
+
+    const ordered = await request('POST', '/products/3/variants', { token: alice, body: variant });
+    assert.equal(ordered.status, 409);
+    assert.equal(ordered.body.code, 'referenced_by_open_orders');
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// Before the app is loaded: retry fast and give up after three attempts
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const { startServer, stopServer, resetStore, request, login } = require('./helpers');
+const webhookService = require('../services/webhooks');
+
+const SECRET = 'whsec_test_secret_0123456789';
+
+function freePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Run scripts/webhook-receiver.js; resolves once it is listening
+async function startReceiver(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '../scripts/webhook-receiver.js')], {
+    env: { ...process.env, RECEIVER_PORT: String(port), WEBHOOK_SECRET: SECRET, ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('listening')) {
+        resolve();
+      }
+    });
+    child.once('exit', code => reject(new Error(`Receiver exited with ${code}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}/hooks`,
+    output: () => output,
+    stop: () => new Promise(resolve => {
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) {
+      return value;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+}
+
+describe('webhooks', () => {
+  let alice;
+  let receiver = null;
+
+  before(startServer);
+  after(stopServer);
+  beforeEach(async () => {
+    resetStore();
+    alice = await login('alice');
+  });
+  afterEach(async () => {
+    if (receiver) {
+      await receiver.stop();
+      receiver = null;
+    }
+  });
+
+  async function subscribe(secret) {
+    const res = await request('POST', '/webhooks', {
+      token: alice,
+      body: { url: receiver.url, events: ['order.created'], secret }
+    });
+    assert.equal(res.status, 201);
+    return res.body;
+  }
+
+  async function settledDelivery(webhookId) {
+    return waitFor(async () => {
+      const res = await request('GET', `/webhooks/${webhookId}/deliveries`, { token: alice });
+      const [delivery] = res.body.data;
+      return delivery && delivery.status !== 'pending' ? delivery : null;
+    });
+  }
+
+  const placeOrder = () => request('POST', '/orders', {
+    token: alice,
+    body: { userId: 1, items: [{ productId: 3, quantity: 1 }] }
+  });
+
+  it('signs deliveries and retries until the receiver accepts', async () => {
+    receiver = await startReceiver({ FAIL_FIRST: '2' });
+    const webhook = await subscribe(SECRET);
+
+    const order = await placeOrder();
+    const delivery = await settledDelivery(webhook.id);
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [500, 500, 200]);
+    assert.equal(delivery.payload.type, 'order.created');
+    assert.equal(delivery.payload.data.order.id, order.body.id);
+    assert.match(receiver.output(), /"signature": "valid"/);
+    assert.doesNotMatch(receiver.output(), /"signature": "invalid"/);
+  });
+
+  it('gives up after the last attempt when the signature is rejected', async () => {
+    receiver = await startReceiver();
+    const webhook = await subscribe('whsec_some_other_secret');
+
+    await placeOrder();
+    const delivery = await settledDelivery(webhook.id);
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.nextAttemptAt, null);
+    assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [401, 401, 401]);
+    assert.match(receiver.output(), /"signature": "invalid"/);
+  });
+
+  it('backs off exponentially and signs "<t>.<body>"', () => {
+    assert.deepEqual([1, 2, 3].map(webhookService.retryDelay), [20, 40, 80]);
+    assert.equal(
+      webhookService.sign(SECRET, 1700000000, '{}'),
+      `t=1700000000,v1=${crypto.createHmac('sha256', SECRET).update('1700000000.{}').digest('hex')}`
+    );
+  });
+});